@@ -1,14 +1,51 @@
 #!/usr/bin/env node
 
 const inquirer = require('inquirer');
-const axios = require('axios');
 const open = require('open').default || require('open');
+require('dotenv').config({ quiet: true });
+
+const { Command } = require('commander');
 const errorHandler = require('./lib/error-handler');
+const GitHubAPI = require('./lib/github-api');
+const GitHubOAuth = require('./lib/github-oauth');
+const CLICredentials = require('./lib/cli-credentials');
+const ServerClient = require('./lib/server-client');
+const DirectClient = require('./lib/direct-client');
+const { SEVERITIES, analysisFindings } = require('./lib/review-schema');
+const { EXPORT_FORMATS, exportAnalysis } = require('./lib/review-exporters');
+
+// Exit codes of the scripted commands. Findings at or above --fail-on get
+// their own code so CI can tell them apart from failures of the tool.
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  findings: 2
+};
+
+const DEFAULT_SERVER = 'http://localhost:5000';
+
+// owner/repo#123 or a pull request URL
+function parsePullRequestTarget(target) {
+  const match = String(target || '').match(/^([\w.-]+)\/([\w.-]+)#(\d+)$/) ||
+    String(target || '').match(/\/([\w.-]+)\/([\w.-]+)\/pull\/(\d+)/);
+  if (!match) {
+    throw new Error(`Expected a pull request as owner/repo#123 or its URL, got "${target}"`);
+  }
+  return { owner: match[1], repo: match[2], prNumber: parseInt(match[3], 10) };
+}
 
+// The CLI works against a reviewer server (--server URL, default
+// AI_PR_REVIEWER_SERVER or localhost:5000) or, with --direct, runs the
+// review pipeline in-process with the stored GitHub token
 class GitHubPRReviewerCLI {
-  constructor() {
-    this.baseURL = 'http://localhost:5000';
-    this.sessionToken = null;
+  constructor({ server, direct = process.env.AI_PR_REVIEWER_MODE === 'direct' } = {}) {
+    this.credentials = new CLICredentials();
+    this.client = direct
+      ? new DirectClient({ dataDir: this.credentials.dir })
+      : new ServerClient(server || process.env.AI_PR_REVIEWER_SERVER || DEFAULT_SERVER);
+    // Scripted commands keep stdout for their result
+    this.logger = console.log;
+    this.streamTokens = true;
   }
 
   async start() {
@@ -16,7 +53,7 @@ class GitHubPRReviewerCLI {
     console.log('===============================\n');
 
     try {
-      // Check if server is running
+      // Check if the server (or, in direct mode, the LLM provider) is ready
       await this.checkServerStatus();
       
       // Check authentication
@@ -24,6 +61,9 @@ class GitHubPRReviewerCLI {
       
       if (!isAuthenticated) {
         await this.authenticate();
+        if (!await this.checkAuthentication()) {
+          throw new Error(this.client.mode === 'server' ? 'Could not create a server session' : 'Could not log in');
+        }
       }
 
       // Main menu loop
@@ -36,57 +76,177 @@ class GitHubPRReviewerCLI {
   }
 
   async checkServerStatus() {
-    try {
-      await axios.get(`${this.baseURL}/health`);
-      console.log('✅ Server is running');
-    } catch (error) {
-      throw new Error('Server is not running. Please start the server with: npm start');
+    const status = await this.client.checkStatus();
+    if (!status.success) {
+      throw new Error(status.error);
     }
+    this.logger(this.client.mode === 'server' ? '✅ Server is running' : '✅ Running in direct mode (no server)');
   }
 
+  // Connect the client with the stored login, or GITHUB_TOKEN from the
+  // environment (as in CI). Against a server, the session it issued last
+  // time is reused and a new one is created from the token when it has
+  // expired.
   async checkAuthentication() {
-    // In a real CLI, you'd store the session token securely
-    // For demo purposes, we'll just ask to authenticate each time
-    return false;
+    const credentials = this.credentials.load();
+    const token = credentials ? credentials.github.token : process.env.GITHUB_TOKEN;
+    if (!token) {
+      return false;
+    }
+
+    const server = this.client.baseURL;
+    const sessionId = credentials && server ? credentials.sessions[server] : null;
+    const result = await this.client.connect({
+      token,
+      readOnly: credentials ? credentials.github.readOnly : false,
+      sessionId
+    });
+    if (!result.success) {
+      this.logger(`⚠️  ${result.error}`);
+      return false;
+    }
+
+    if (credentials && result.sessionId && result.sessionId !== sessionId) {
+      this.credentials.setSession(server, result.sessionId);
+    }
+    this.logger(`✅ Logged in as ${result.user.login}${credentials ? '' : ' (GITHUB_TOKEN)'}`);
+    return true;
   }
 
   async authenticate() {
     console.log('\n🔐 GitHub Authentication Required');
-    
-    const { proceed } = await inquirer.prompt([{
-      type: 'confirm',
-      name: 'proceed',
-      message: 'Open GitHub OAuth login in browser?',
-      default: true
+
+    const { method } = await inquirer.prompt([{
+      type: 'list',
+      name: 'method',
+      message: 'How do you want to log in?',
+      choices: [
+        { name: '🌐 Log in with a browser (GitHub device code)', value: 'device' },
+        { name: '🔑 Paste a personal access token', value: 'token' },
+        { name: '🚪 Cancel', value: 'cancel' }
+      ]
     }]);
 
-    if (!proceed) {
+    if (method === 'cancel') {
       console.log('Authentication cancelled.');
       process.exit(0);
     }
 
-    console.log('Opening GitHub OAuth page...');
-    const authURL = `${this.baseURL}/auth/login`;
-    
-    try {
-      await open(authURL);
-      console.log('\n📝 After authenticating in the browser:');
-      console.log('1. Copy the session token from the response');
-      console.log('2. Paste it below\n');
-      
-      // In a real implementation, you'd handle the OAuth callback properly
-      const { token } = await inquirer.prompt([{
-        type: 'input',
+    let token = null;
+    if (method === 'token') {
+      ({ token } = await inquirer.prompt([{
+        type: 'password',
         name: 'token',
-        message: 'Enter your session token:',
-        validate: input => input.length > 0 || 'Token is required'
-      }]);
-      
-      this.sessionToken = token;
-      console.log('✅ Authentication successful!\n');
-      
-    } catch (error) {
-      throw new Error('Failed to open browser for authentication');
+        mask: '*',
+        message: 'GitHub personal access token:',
+        validate: input => input.trim().length > 0 || 'Token is required'
+      }]));
+    }
+
+    await this.login({ method, token });
+  }
+
+  // Log in to GitHub, store the token and create a server session when
+  // the server is running. With a token given, it is used as a personal
+  // access token; otherwise the device flow runs.
+  async login({ method = 'device', token = null, readOnly = false } = {}) {
+    let scope = null;
+
+    if (method === 'device') {
+      const deviceLogin = await this.deviceFlow(readOnly);
+      token = deviceLogin.token;
+      scope = deviceLogin.scope;
+    }
+
+    token = token.trim();
+    const userResult = await new GitHubAPI(token).getAuthenticatedUser();
+    if (!userResult.success) {
+      throw new Error(`GitHub rejected the token: ${userResult.error}`);
+    }
+
+    this.credentials.saveLogin({
+      token,
+      user: userResult.user,
+      scope: scope ?? userResult.scopes,
+      readOnly,
+      method
+    });
+    console.log(`✅ Logged in to GitHub as ${userResult.user.login}`);
+    console.log(`🔒 Credentials saved to ${this.credentials.file}`);
+
+    if (this.client.mode === 'server') {
+      const session = await this.client.connect({ token, readOnly });
+      if (session.success) {
+        this.credentials.setSession(this.client.baseURL, session.sessionId);
+      } else {
+        console.log(`⚠️  No server session yet (${session.error}); one is created on the next run`);
+      }
+    }
+  }
+
+  // GitHub's device flow: show a code, open the verification page and
+  // wait until the user has entered it
+  async deviceFlow(readOnly) {
+    const githubOAuth = new GitHubOAuth();
+    const device = await githubOAuth.requestDeviceCode({ readOnly });
+    if (!device.success) {
+      throw new Error(`Device login failed: ${device.error}`);
+    }
+
+    console.log(`\n📋 Enter the code ${device.userCode} at ${device.verificationUri}`);
+    await open(device.verificationUri).catch(() => {});
+    console.log('⏳ Waiting for you to authorize in the browser...');
+
+    const result = await githubOAuth.pollDeviceToken(device);
+    if (!result.success) {
+      throw new Error(`Device login failed: ${result.error}`);
+    }
+    return result;
+  }
+
+  // End the server session (which also revokes OAuth tokens the server
+  // issued) and delete the stored credentials
+  async logout() {
+    const credentials = this.credentials.load();
+    if (!credentials) {
+      console.log('Not logged in.');
+      return;
+    }
+
+    const sessionId = this.client.mode === 'server' ? credentials.sessions[this.client.baseURL] : null;
+    if (sessionId) {
+      this.client.sessionId = sessionId;
+      const result = await this.client.logout();
+      if (!result.success) {
+        console.log(`⚠️  Could not end the server session (${result.error}); it expires on its own`);
+      }
+    }
+
+    this.credentials.clear();
+    console.log(`👋 Logged out ${credentials.github.login} and removed ${this.credentials.file}`);
+    if (credentials.github.method === 'token') {
+      console.log(`💡 Delete the personal access token at ${GitHubAPI.webURL('/settings/tokens')} if you no longer need it`);
+    }
+  }
+
+  async whoami() {
+    const credentials = this.credentials.load();
+    if (!credentials) {
+      console.log('Not logged in. Run: npm run cli -- login');
+      process.exitCode = 1;
+      return;
+    }
+
+    const { login, name, scope, readOnly, method, createdAt } = credentials.github;
+    console.log(`👤 ${login}${name ? ` (${name})` : ''}`);
+    console.log(`🔑 ${method === 'device' ? 'Device flow login' : 'Personal access token'} since ${new Date(createdAt).toLocaleString()}`);
+    console.log(`📜 Scopes: ${scope || 'none listed (fine-grained token)'}${readOnly ? ' - read-only' : ''}`);
+    console.log(`🔒 Credentials: ${this.credentials.file}`);
+
+    const userResult = await new GitHubAPI(credentials.github.token).getAuthenticatedUser();
+    if (!userResult.success) {
+      console.log(`⚠️  GitHub rejected the stored token (${userResult.error}); log in again`);
+      process.exitCode = 1;
     }
   }
 
@@ -99,7 +259,7 @@ class GitHubPRReviewerCLI {
         choices: [
           { name: '📂 List my repositories', value: 'listRepos' },
           { name: '🔍 Review a specific PR', value: 'reviewPR' },
-          { name: '⚙️  Check Ollama status', value: 'checkOllama' },
+          { name: '⚙️  Check LLM status', value: 'checkLLM' },
           { name: '🚪 Exit', value: 'exit' }
         ]
       }]);
@@ -111,8 +271,8 @@ class GitHubPRReviewerCLI {
         case 'reviewPR':
           await this.reviewPullRequest();
           break;
-        case 'checkOllama':
-          await this.checkOllamaStatus();
+        case 'checkLLM':
+          await this.checkLLMStatus();
           break;
         case 'exit':
           console.log('👋 Goodbye!');
@@ -125,11 +285,12 @@ class GitHubPRReviewerCLI {
     try {
       console.log('\n📂 Fetching your repositories...');
       
-      const response = await axios.get(`${this.baseURL}/api/repos`, {
-        headers: { 'Authorization': `Bearer ${this.sessionToken}` }
-      });
+      const result = await this.client.getRepos();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
 
-      const repos = response.data;
+      const { repos } = result;
       
       if (repos.length === 0) {
         console.log('No repositories found.');
@@ -174,11 +335,13 @@ class GitHubPRReviewerCLI {
       // Fetch pull requests
       console.log('\n🔍 Fetching open pull requests...');
       
-      const prResponse = await axios.get(`${this.baseURL}/api/repos/${owner}/${repo}/pulls`, {
-        headers: { 'Authorization': `Bearer ${this.sessionToken}` }
-      });
+      const pullsResult = await this.client.getPulls(owner, repo);
+      if (!pullsResult.success) {
+        console.error('❌ Failed to fetch pull requests:', pullsResult.error);
+        return;
+      }
 
-      const pulls = prResponse.data;
+      const { pulls } = pullsResult;
 
       if (pulls.length === 0) {
         console.log('No open pull requests found.');
@@ -198,19 +361,31 @@ class GitHubPRReviewerCLI {
         choices: prChoices
       }]);
 
+      const { incremental } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'incremental',
+        message: 'Only review commits pushed since the last review?',
+        default: false
+      }]);
+
       // Analyze the PR
       console.log('\n🤖 Analyzing pull request with AI...');
       console.log('This may take a moment...\n');
 
-      const analysisResponse = await axios.post(`${this.baseURL}/api/analyze-pr`, {
-        owner,
-        repo,
-        prNumber: selectedPR
-      }, {
-        headers: { 'Authorization': `Bearer ${this.sessionToken}` }
-      });
-
-      const analysis = analysisResponse.data.analysis;
+      const result = await this.runAnalysis(owner, repo, selectedPR, { incremental });
+      if (!result.success) {
+        if (result.status === 503) {
+          console.error('❌ LLM Service Error:');
+          console.error(result.error);
+          if (result.suggestion) {
+            console.error('💡 Suggestion:', result.suggestion);
+          }
+        } else {
+          console.error('❌ Failed to analyze PR:', result.error);
+        }
+        return;
+      }
+      const { analysis } = result;
 
       // Display results
       console.log('🎯 AI Review Complete!\n');
@@ -219,33 +394,119 @@ class GitHubPRReviewerCLI {
       console.log(`Author: ${analysis.pr.author}`);
       console.log(`Files Changed: ${analysis.pr.filesChanged}`);
       console.log(`Model: ${analysis.model}`);
+      if (analysis.incremental) {
+        const { baseSha, commits, previousFindings } = analysis.incremental;
+        console.log(`Scope: ${commits.length} new commit(s) since ${baseSha.slice(0, 7)}`);
+        console.log(`Earlier findings: ${previousFindings.resolved.length} resolved, ${previousFindings.stillApplies.length} still apply, ${previousFindings.unverified.length} unverified`);
+      } else if (analysis.incrementalFallback) {
+        console.log(`Scope: ${analysis.incrementalFallback}`);
+      }
+      if (analysis.config && analysis.config.source) {
+        console.log(`Config: ${analysis.config.source.path} (${analysis.config.source.ref})`);
+        analysis.config.warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+      }
+      if (analysis.coverage) {
+        const { reviewed, partial, skipped } = analysis.coverage;
+        console.log(`Coverage: ${reviewed.length} reviewed, ${partial.length} partial, ${skipped.length} skipped`);
+        partial.forEach(file => console.log(`  ⚠️  ${file.filename} (${file.reason})`));
+        skipped.forEach(file => console.log(`  ⏭️  ${file.filename} (${file.reason})`));
+      }
+      if (analysis.structured) {
+        const counts = analysis.structured.findings.reduce((acc, finding) => {
+          acc[finding.severity] = (acc[finding.severity] || 0) + 1;
+          return acc;
+        }, {});
+        const summary = ['blocker', 'major', 'minor', 'nit']
+          .map(severity => `${counts[severity] || 0} ${severity}`)
+          .join(', ');
+        console.log(`Findings: ${summary}`);
+      }
       console.log('='.repeat(50));
       console.log('\n📝 AI Review:\n');
       console.log(analysis.review);
       console.log('\n' + '='.repeat(50));
 
-      // Ask if user wants to post as comment
-      const { postComment } = await inquirer.prompt([{
-        type: 'confirm',
-        name: 'postComment',
-        message: 'Post this review as a comment on GitHub?',
-        default: false
+      // Ask if and how the user wants to post the review
+      const { postMode } = await inquirer.prompt([{
+        type: 'list',
+        name: 'postMode',
+        message: 'Post this review on GitHub?',
+        choices: [
+          { name: 'No', value: 'none' },
+          { name: '📝 As a single comment', value: 'comment' },
+          { name: `📍 As a PR review with inline comments (${(analysis.comments || []).length})`, value: 'review' }
+        ],
+        default: 'none'
       }]);
 
-      if (postComment) {
+      if (postMode === 'comment') {
         await this.postReviewComment(owner, repo, selectedPR, analysis.review);
+      } else if (postMode === 'review') {
+        const { event } = await inquirer.prompt([{
+          type: 'list',
+          name: 'event',
+          message: 'Review event:',
+          choices: [
+            { name: 'Comment', value: 'COMMENT' },
+            { name: 'Request changes', value: 'REQUEST_CHANGES' },
+            { name: 'Approve', value: 'APPROVE' }
+          ]
+        }]);
+        await this.postInlineReview(owner, repo, selectedPR, analysis, event);
       }
 
     } catch (error) {
-      if (error.response?.status === 503) {
-        console.error('❌ Ollama Service Error:');
-        console.error(error.response.data.error);
-        if (error.response.data.suggestion) {
-          console.error('💡 Suggestion:', error.response.data.suggestion);
-        }
-      } else {
-        console.error('❌ Failed to analyze PR:', error.response?.data?.error || error.message);
+      console.error('❌ Failed to analyze PR:', error.message);
+    }
+  }
+
+  // Run an analysis, printing progress and the model output as it is
+  // generated. Ctrl+C cancels it (on the server, the job) and exits.
+  async runAnalysis(owner, repo, prNumber, { incremental = false, model } = {}) {
+    const controller = new AbortController();
+    let lastMessage = null;
+    let streaming = false;
+
+    const onProgress = progress => {
+      let message = progress.position ? `⏳ Queued (position ${progress.position})` : `⏳ ${progress.stage}`;
+      if (progress.stage === 'reviewing') {
+        message = `⏳ Reviewing chunk ${progress.completed + 1}/${progress.total}`;
+      }
+      if (message !== lastMessage) {
+        this.logger(streaming ? `\n${message}` : message);
+        lastMessage = message;
+        streaming = false;
+      }
+    };
+
+    const onToken = text => {
+      if (this.streamTokens) {
+        streaming = true;
+        process.stdout.write(text);
+      }
+    };
+
+    const onInterrupt = () => {
+      this.logger('\n🛑 Cancelling analysis...');
+      controller.abort();
+    };
+    process.once('SIGINT', onInterrupt);
+
+    try {
+      const result = await this.client.analyze(owner, repo, prNumber, {
+        incremental,
+        model,
+        signal: controller.signal,
+        onProgress,
+        onToken
+      });
+      if (streaming) process.stdout.write('\n\n');
+      if (controller.signal.aborted) {
+        process.exit(130);
       }
+      return result;
+    } finally {
+      process.removeListener('SIGINT', onInterrupt);
     }
   }
 
@@ -253,34 +514,71 @@ class GitHubPRReviewerCLI {
     try {
       console.log('\n📤 Posting review comment...');
 
-      const response = await axios.post(`${this.baseURL}/api/post-review`, {
+      const result = await this.client.postReview({
         owner,
         repo,
         prNumber,
         review
-      }, {
-        headers: { 'Authorization': `Bearer ${this.sessionToken}` }
       });
+      if (!result.success) {
+        console.error('❌ Failed to post comment:', result.error);
+        return;
+      }
 
-      const comment = response.data.comment;
+      const comment = result.comment;
       console.log('✅ Review posted successfully!');
       console.log(`🔗 Comment URL: ${comment.url}`);
 
     } catch (error) {
-      console.error('❌ Failed to post comment:', error.response?.data?.error || error.message);
+      console.error('❌ Failed to post comment:', error.message);
+    }
+  }
+
+  async postInlineReview(owner, repo, prNumber, analysis, event) {
+    try {
+      console.log('\n📤 Submitting pull request review...');
+
+      const result = await this.client.postReview({
+        owner,
+        repo,
+        prNumber,
+        review: analysis.review,
+        mode: 'review',
+        event,
+        comments: analysis.comments || [],
+        commitId: analysis.headSha,
+        model: analysis.model
+      });
+      if (!result.success) {
+        console.error('❌ Failed to submit review:', result.error);
+        return;
+      }
+
+      const { review, comments } = result;
+      console.log(`✅ Review submitted with ${comments.posted} inline comments!`);
+      comments.skipped.forEach(comment => {
+        console.log(`  ⏭️  ${comment.path}:${comment.line} moved to review body (${comment.reason})`);
+      });
+      console.log(`🔗 Review URL: ${review.url}`);
+
+    } catch (error) {
+      console.error('❌ Failed to submit review:', error.message);
     }
   }
 
-  async checkOllamaStatus() {
+  async checkLLMStatus() {
     try {
-      console.log('\n⚙️  Checking Ollama status...');
+      console.log('\n⚙️  Checking LLM status...');
 
-      const response = await axios.get(`${this.baseURL}/api/ollama/status`);
-      const status = response.data;
+      const result = await this.client.getLLMStatus();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      const { status } = result;
 
       if (status.running) {
-        console.log('✅ Ollama is running');
-        console.log(`🤖 Model available: ${status.modelAvailable ? 'Yes' : 'No'}`);
+        console.log(`✅ ${status.label} is running (${status.baseURL})`);
+        console.log(`🤖 Model ${status.model} available: ${status.modelAvailable ? 'Yes' : 'No'}`);
         
         if (status.availableModels && status.availableModels.length > 0) {
           console.log('\n📋 Available models:');
@@ -289,23 +587,270 @@ class GitHubPRReviewerCLI {
           });
         }
       } else {
-        console.log('❌ Ollama is not running');
-        console.log('💡 Start Ollama with: ollama serve');
+        console.log(`❌ ${status.label} is not running`);
+        if (status.name === 'ollama') {
+          console.log('💡 Start Ollama with: ollama serve');
+        }
       }
 
     } catch (error) {
-      console.error('❌ Failed to check Ollama status:', error.response?.data?.error || error.message);
+      console.error('❌ Failed to check LLM status:', error.message);
+    }
+  }
+
+  // Connect for a scripted command: no prompts, progress on stderr
+  async connect() {
+    this.logger = console.error;
+    this.streamTokens = false;
+
+    await this.checkServerStatus();
+    if (!await this.checkAuthentication()) {
+      throw new Error('Not logged in. Run: npm run cli -- login (or set GITHUB_TOKEN)');
+    }
+  }
+
+  // Review a pull request and print the result. Resolves to the exit code:
+  // EXIT_CODES.findings when findings reach the --fail-on severity.
+  async reviewCommand(target, { format = 'md', model, post = false, incremental = false, failOn = 'blocker' } = {}) {
+    const { owner, repo, prNumber } = parsePullRequestTarget(target);
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}" (use one of: ${EXPORT_FORMATS.join(', ')})`);
+    }
+    if (failOn !== 'none' && !SEVERITIES.includes(failOn)) {
+      throw new Error(`Unknown severity "${failOn}" for --fail-on (use one of: ${SEVERITIES.join(', ')}, none)`);
+    }
+
+    await this.connect();
+    this.logger(`🤖 Reviewing ${owner}/${repo}#${prNumber}...`);
+
+    const result = await this.runAnalysis(owner, repo, prNumber, { incremental, model });
+    if (!result.success) {
+      throw new Error(`Failed to analyze PR: ${result.error}${result.suggestion ? ` (${result.suggestion})` : ''}`);
+    }
+    const { analysis } = result;
+
+    const exported = exportAnalysis(analysis, format, { owner, repo, prNumber });
+    process.stdout.write(exported.content.endsWith('\n') ? exported.content : `${exported.content}\n`);
+
+    if (post) {
+      const posted = await this.client.postReview({
+        owner,
+        repo,
+        prNumber,
+        review: analysis.review,
+        mode: 'review',
+        event: 'COMMENT',
+        comments: analysis.comments || [],
+        commitId: analysis.headSha,
+        model: analysis.model
+      });
+      if (!posted.success) {
+        throw new Error(`Failed to post review: ${posted.error}`);
+      }
+      this.logger(`📤 Review posted: ${posted.review.url}`);
+    }
+
+    const findings = analysisFindings(analysis);
+    const failing = failOn === 'none'
+      ? []
+      : findings.filter(finding => SEVERITIES.indexOf(finding.severity) <= SEVERITIES.indexOf(failOn));
+    const counts = SEVERITIES.map(severity => `${findings.filter(finding => finding.severity === severity).length} ${severity}`);
+    this.logger(`📊 Findings: ${counts.join(', ')}`);
+
+    if (failing.length > 0) {
+      this.logger(`🛑 ${failing.length} finding(s) at or above "${failOn}"`);
+      return EXIT_CODES.findings;
     }
+    return EXIT_CODES.ok;
+  }
+
+  async reposCommand({ format = 'text' } = {}) {
+    await this.connect();
+
+    const result = await this.client.getRepos();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    const { repos, truncated } = result;
+
+    if (format === 'json') {
+      console.log(JSON.stringify(repos, null, 2));
+    } else {
+      repos.forEach(repo => console.log(`${repo.full_name}\t${repo.language || '-'}\t${repo.updated_at}`));
+    }
+    if (truncated) {
+      this.logger('⚠️  Not all repositories were listed (GITHUB_MAX_PAGES)');
+    }
+    return EXIT_CODES.ok;
+  }
+
+  async prsCommand(repoArg, { format = 'text' } = {}) {
+    const [owner, repo] = (repoArg || '').split('/');
+    if (!owner || !repo) {
+      throw new Error('Repository must be given as owner/repo');
+    }
+
+    await this.connect();
+
+    const result = await this.client.getPulls(owner, repo);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    const { pulls, truncated } = result;
+
+    if (format === 'json') {
+      console.log(JSON.stringify(pulls, null, 2));
+    } else {
+      pulls.forEach(pr => console.log(`#${pr.number}\t${pr.title}\t${pr.user}\t${pr.head.ref} -> ${pr.base.ref}`));
+    }
+    if (truncated) {
+      this.logger('⚠️  Not all pull requests were listed (GITHUB_MAX_PAGES)');
+    }
+    return EXIT_CODES.ok;
+  }
+
+  // Server, LLM and login status. Fails unless the server (when one is
+  // used) and the LLM are up and the user is logged in.
+  async statusCommand({ format = 'text' } = {}) {
+    this.logger = () => {};
+    const status = { mode: this.client.mode, server: null, llm: null, user: null };
+    if (this.client.mode === 'server') {
+      status.server = { url: this.client.baseURL, running: false };
+    }
+
+    const ready = await this.client.checkStatus();
+    if (status.server) {
+      status.server.running = ready.success;
+    }
+    if (!ready.success) {
+      status.error = ready.error;
+    } else {
+      const llmResult = await this.client.getLLMStatus();
+      status.llm = llmResult.success ? llmResult.status : null;
+
+      if (await this.checkAuthentication()) {
+        const userResult = await this.client.getUser();
+        if (userResult.success) {
+          status.user = { ...userResult.user, scope: userResult.scope, readOnly: userResult.readOnly };
+        }
+      }
+    }
+
+    if (format === 'json') {
+      console.log(JSON.stringify(status, null, 2));
+    } else {
+      console.log(status.server ? `${status.server.running ? '✅' : '❌'} Server ${status.server.url}` : '✅ Direct mode (no server)');
+      if (status.llm) {
+        console.log(`${status.llm.running ? '✅' : '❌'} LLM ${status.llm.label || status.llm.name} (${status.llm.model})${status.llm.running && !status.llm.modelAvailable ? ' - model not available' : ''}`);
+      }
+      console.log(status.user ? `✅ Logged in as ${status.user.login}${status.user.readOnly ? ' (read-only)' : ''}` : '❌ Not logged in');
+      if (status.error) {
+        console.log(`⚠️  ${status.error}`);
+      }
+    }
+
+    const healthy = ready.success && status.llm && status.llm.running && status.user;
+    return healthy ? EXIT_CODES.ok : EXIT_CODES.error;
   }
 }
 
-// Run CLI if called directly
+// Read a token piped to stdin (login --with-token), so it does not end
+// up in the shell history
+const readStdin = async () => {
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input.trim();
+};
+
+// Run CLI if called directly. Without a subcommand it starts the
+// interactive menu.
 if (require.main === module) {
-  const cli = new GitHubPRReviewerCLI();
-  cli.start().catch(error => {
-    console.error('❌ CLI Error:', error.message);
-    process.exit(1);
-  });
+  const program = new Command();
+  // Created on first use, after the global options are parsed
+  let instance;
+  const cli = () => instance || (instance = new GitHubPRReviewerCLI(program.opts()));
+  const run = action => async (...args) => {
+    try {
+      await action(...args);
+    } catch (error) {
+      console.error('❌ CLI Error:', error.message);
+      process.exit(1);
+    }
+  };
+
+  program
+    .name('ai-pr-reviewer')
+    .description('AI GitHub PR Reviewer CLI')
+    .option('--server <url>', `reviewer server to use (default: AI_PR_REVIEWER_SERVER or ${DEFAULT_SERVER})`)
+    .option('--direct', 'run reviews in this process instead of on a server')
+    .action(run(() => cli().start()));
+
+  program
+    .command('login')
+    .description('Log in with GitHub (device flow, or a personal access token from stdin)')
+    .option('--with-token', 'read a personal access token from stdin')
+    .option('--read-only', 'request a login that cannot post reviews')
+    .action(run(async options => {
+      const token = options.withToken ? await readStdin() : null;
+      if (options.withToken && !token) {
+        throw new Error('No token on stdin');
+      }
+      await cli().login({ method: token ? 'token' : 'device', token, readOnly: Boolean(options.readOnly) });
+    }));
+
+  program
+    .command('logout')
+    .description('Log out and delete the stored credentials')
+    .action(run(() => cli().logout()));
+
+  program
+    .command('whoami')
+    .description('Show the logged-in GitHub user')
+    .action(run(() => cli().whoami()));
+
+  // Scripted commands exit with their EXIT_CODES result
+  const script = action => async (...args) => {
+    try {
+      process.exitCode = await action(...args);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = EXIT_CODES.error;
+    }
+  };
+
+  program
+    .command('review <pr>')
+    .description('Review a pull request (owner/repo#123 or its URL) and print the result')
+    .option('--format <format>', `output format: ${EXPORT_FORMATS.join(', ')}`, 'md')
+    .option('--model <model>', 'model to review with')
+    .option('--post', 'post the review with inline comments to GitHub')
+    .option('--incremental', 'only review commits pushed since the last review')
+    .option('--fail-on <severity>', `exit with ${EXIT_CODES.findings} when findings reach this severity (${SEVERITIES.join(', ')} or none)`, 'blocker')
+    .action(script((target, options) => cli().reviewCommand(target, options)));
+
+  program
+    .command('repos')
+    .description('List your repositories')
+    .option('--format <format>', 'output format: text or json', 'text')
+    .action(script(options => cli().reposCommand(options)));
+
+  program
+    .command('prs <repo>')
+    .description('List the open pull requests of owner/repo')
+    .option('--format <format>', 'output format: text or json', 'text')
+    .action(script((repo, options) => cli().prsCommand(repo, options)));
+
+  program
+    .command('status')
+    .description('Check the server, the LLM and your login')
+    .option('--format <format>', 'output format: text or json', 'text')
+    .action(script(options => cli().statusCommand(options)));
+
+  program.parseAsync(process.argv);
 }
 
+GitHubPRReviewerCLI.EXIT_CODES = EXIT_CODES;
+
 module.exports = GitHubPRReviewerCLI;
\ No newline at end of file
@@ -0,0 +1,182 @@
+const StaticAnalyzer = require('./static-analyzer');
+
+const JAVASCRIPT = /\.(?:[cm]?jsx?|tsx?)$/i;
+const PYTHON = /\.py$/i;
+const ANY = /./;
+
+// Line rules in the spirit of ESLint and Semgrep patterns. They only see
+// one line at a time, so each one targets a shape that is almost always
+// a problem wherever it appears. Rules with code: true look at the code
+// only, with string literals blanked out.
+const RULES = [
+  {
+    id: 'no-eval',
+    files: JAVASCRIPT,
+    pattern: /(?<![\w.$])(?:eval\s*\(|new\s+Function\s*\()/,
+    code: true,
+    level: 'error',
+    category: 'security',
+    message: 'eval() and new Function() run arbitrary strings as code.',
+    suggestion: 'Parse the data (e.g. with JSON.parse) or dispatch to known functions instead.'
+  },
+  {
+    id: 'no-debugger',
+    files: JAVASCRIPT,
+    pattern: /^\s*debugger\s*;?\s*$/,
+    level: 'warning',
+    category: 'bug',
+    message: 'A debugger statement pauses execution whenever developer tools are open.',
+    suggestion: 'Remove the debugger statement.'
+  },
+  {
+    id: 'eqeqeq',
+    files: JAVASCRIPT,
+    // x == null is the idiomatic check for null or undefined
+    pattern: /(?<![=!<>])(?<!\bnull\s*)[!=]=(?!=)(?!\s*null\b)/,
+    code: true,
+    level: 'warning',
+    category: 'bug',
+    message: '== and != convert types before comparing, so values like 0, "" and null compare in surprising ways.',
+    suggestion: 'Use === or !==.'
+  },
+  {
+    id: 'no-console',
+    files: JAVASCRIPT,
+    pattern: /\bconsole\.(?:log|debug|trace)\s*\(/,
+    code: true,
+    level: 'info',
+    category: 'style',
+    message: 'Debug output left in the code.',
+    suggestion: 'Remove it or use the project\'s logger.'
+  },
+  {
+    id: 'no-inner-html',
+    files: JAVASCRIPT,
+    pattern: /\.(?:innerHTML|outerHTML)\s*\+?=(?!=)|\bdangerouslySetInnerHTML\b/,
+    level: 'warning',
+    category: 'security',
+    message: 'Assigning HTML strings allows cross-site scripting when any part of the string comes from user input.',
+    suggestion: 'Set textContent, build DOM nodes, or sanitize the HTML first.'
+  },
+  {
+    id: 'child-process-injection',
+    files: JAVASCRIPT,
+    pattern: /\bexec(?:Sync)?\s*\(\s*(?:`[^`]*\$\{|['"][^'"]*['"]\s*\+)/,
+    level: 'error',
+    category: 'security',
+    message: 'The shell command is built from a dynamic string, so interpolated values can inject commands.',
+    suggestion: 'Use execFile or spawn with an argument array.'
+  },
+  {
+    id: 'python-eval',
+    files: PYTHON,
+    pattern: /(?<![\w.])(?:eval|exec)\s*\(/,
+    code: true,
+    level: 'error',
+    category: 'security',
+    message: 'eval() and exec() run arbitrary strings as code.',
+    suggestion: 'Use ast.literal_eval for literals or dispatch to known functions.'
+  },
+  {
+    id: 'python-bare-except',
+    files: PYTHON,
+    pattern: /^\s*except\s*:/,
+    level: 'warning',
+    category: 'bug',
+    message: 'A bare except also catches KeyboardInterrupt and SystemExit and hides real errors.',
+    suggestion: 'Catch the specific exceptions, or at least Exception.'
+  },
+  {
+    id: 'python-shell-true',
+    files: PYTHON,
+    pattern: /\bsubprocess\.\w+\(.*\bshell\s*=\s*True/,
+    level: 'error',
+    category: 'security',
+    message: 'shell=True passes the command through the shell, so interpolated values can inject commands.',
+    suggestion: 'Pass the command as a list without shell=True.'
+  },
+  {
+    id: 'python-unsafe-yaml-load',
+    files: PYTHON,
+    pattern: /\byaml\.load\s*\((?!.*Loader\s*=\s*(?:yaml\.)?(?:Safe|Base)Loader)/,
+    level: 'error',
+    category: 'security',
+    message: 'yaml.load without a safe loader can construct arbitrary Python objects.',
+    suggestion: 'Use yaml.safe_load.'
+  },
+  {
+    id: 'sql-string-concatenation',
+    files: ANY,
+    pattern: /\b(?:SELECT|INSERT|UPDATE|DELETE)\b[^;'"`]*\b(?:FROM|INTO|SET|WHERE)\b[^'"`]*(?:['"]\s*\+|\$\{|['"]\s*%\s*\w|\{\w*\}['"]\.format)/i,
+    level: 'error',
+    category: 'security',
+    message: 'The SQL query is built by string interpolation, which allows SQL injection.',
+    suggestion: 'Use a parameterized query.'
+  },
+  {
+    id: 'tls-verification-disabled',
+    files: ANY,
+    pattern: /\brejectUnauthorized\s*:\s*false\b|\bverify\s*=\s*False\b|\bInsecureSkipVerify\s*:\s*true\b|NODE_TLS_REJECT_UNAUTHORIZED\s*=\s*['"]?0/,
+    level: 'error',
+    category: 'security',
+    message: 'TLS certificate verification is turned off, which allows man-in-the-middle attacks.',
+    suggestion: 'Keep verification on; trust a custom CA instead if the server uses one.'
+  }
+];
+
+const COMMENT_LINE = /^\s*(?:\/\/|\/\*|\*|#)/;
+
+// Comments are dropped so the rules do not fire on commented-out code
+const stripLineComment = line => line.replace(/\s\/\/.*$/, '');
+const stripStrings = line => line.replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""');
+
+// Line rules that run in-process, so a review always has some ground
+// truth even where no external tool is installed
+class BuiltinAnalyzer extends StaticAnalyzer {
+  constructor() {
+    super({ name: 'builtin', label: 'Built-in rules' });
+  }
+
+  // Some rules apply to any language
+  supports(filename) {
+    return true;
+  }
+
+  async checkStatus() {
+    return { available: true };
+  }
+
+  async analyze(files) {
+    const diagnostics = [];
+
+    for (const file of files) {
+      const rules = RULES.filter(rule => rule.files.test(file.filename));
+
+      file.content.split('\n').forEach((text, index) => {
+        if (COMMENT_LINE.test(text)) return;
+        const line = stripLineComment(text);
+        const code = stripStrings(line);
+
+        for (const rule of rules) {
+          if (rule.pattern.test(rule.code ? code : line)) {
+            diagnostics.push({
+              file: file.filename,
+              line: index + 1,
+              rule: rule.id,
+              level: rule.level,
+              category: rule.category,
+              message: rule.message,
+              suggestion: rule.suggestion
+            });
+          }
+        }
+      });
+    }
+
+    return { success: true, diagnostics };
+  }
+}
+
+BuiltinAnalyzer.RULES = RULES;
+
+module.exports = BuiltinAnalyzer;
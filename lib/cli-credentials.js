@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Credentials of the CLI, kept in the user's home directory so a login
+// lasts across runs: the GitHub token (from the device flow or a personal
+// access token) and the server sessions created with it. The directory is
+// only accessible to the user and the file only readable by them.
+class CLICredentials {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.AI_PR_REVIEWER_CONFIG_DIR || path.join(os.homedir(), '.ai-pr-reviewer');
+    this.file = path.join(this.dir, 'credentials.json');
+  }
+
+  // The stored credentials, or null when the user has not logged in.
+  // Permissions loosened by hand are tightened again.
+  load() {
+    let stat;
+    try {
+      stat = fs.statSync(this.file);
+    } catch (error) {
+      return null;
+    }
+
+    if (process.platform !== 'win32' && (stat.mode & 0o077) !== 0) {
+      console.warn(`⚠️  ${this.file} was readable by other users; restricting it to you`);
+      fs.chmodSync(this.file, 0o600);
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return data && data.github && data.github.token ? { sessions: {}, ...data } : null;
+    } catch (error) {
+      console.warn(`⚠️  Ignoring unreadable credentials file ${this.file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Write the credentials atomically with 0600 permissions
+  save(credentials) {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+    fs.chmodSync(tmpFile, 0o600);
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  // Store a new GitHub login, dropping sessions of the previous one
+  saveLogin({ token, user, scope = null, readOnly = false, method }) {
+    this.save({
+      github: {
+        token,
+        login: user.login,
+        name: user.name || null,
+        scope,
+        readOnly,
+        method,
+        createdAt: new Date().toISOString()
+      },
+      sessions: {}
+    });
+  }
+
+  // Remember (or with null, forget) the session id for a server
+  setSession(server, sessionId) {
+    const credentials = this.load();
+    if (!credentials) return;
+
+    if (sessionId) {
+      credentials.sessions[server] = sessionId;
+    } else {
+      delete credentials.sessions[server];
+    }
+    this.save(credentials);
+  }
+
+  clear() {
+    fs.rmSync(this.file, { force: true });
+  }
+}
+
+module.exports = CLICredentials;
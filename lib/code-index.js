@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const { readTarball } = require('./tarball');
+const { defaultExclusion } = require('./file-filter');
+const { estimateTokens, splitPatchIntoHunks } = require('./diff-chunker');
+const { redactText } = require('./secret-scanner');
+
+// Source files worth indexing, by extension
+const SOURCE_EXTENSIONS = new Set([
+  'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'vue', 'svelte', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'kts',
+  'scala', 'swift', 'c', 'h', 'cc', 'cpp', 'hpp', 'cs', 'php', 'sh', 'bash', 'sql', 'lua', 'ex', 'exs', 'dart'
+]);
+
+const CHUNK_LINES = 60;
+const CHUNK_OVERLAP = 10;
+const MAX_FILE_BYTES = 200 * 1024;
+// Characters of a chunk or hunk sent to the embedding model
+const MAX_EMBED_CHARS = 4000;
+
+const hash = text => crypto.createHash('sha256').update(text).digest('hex').slice(0, 32);
+
+// Whether a file in the archive may be source code worth indexing, by
+// its path and size; only these are unpacked
+function indexablePath(filePath, size) {
+  const extension = path.posix.extname(filePath).slice(1).toLowerCase();
+  return SOURCE_EXTENSIONS.has(extension) && !defaultExclusion(filePath) && size <= MAX_FILE_BYTES;
+}
+
+// Whether an unpacked file is text rather than binary, bundled or
+// minified code (which has very long lines)
+function indexableContent(file) {
+  if (file.content.includes(0)) return false;
+
+  const text = file.content.toString('utf8');
+  return text.length / (text.split('\n').length || 1) <= 300;
+}
+
+// Split a file into overlapping chunks of lines: [{ file, start, end, text }]
+function chunkSource(file, text) {
+  const lines = text.split('\n');
+  const chunks = [];
+
+  for (let start = 0; start < lines.length; start += CHUNK_LINES - CHUNK_OVERLAP) {
+    const slice = lines.slice(start, start + CHUNK_LINES);
+    if (slice.join('').trim()) {
+      chunks.push({ file, start: start + 1, end: start + slice.length, text: slice.join('\n') });
+    }
+    if (start + CHUNK_LINES >= lines.length) break;
+  }
+
+  return chunks;
+}
+
+const embeddingText = (file, text) => `${file}\n${text}`.slice(0, MAX_EMBED_CHARS);
+
+// Index of a repository's source code for retrieval-augmented reviews: the
+// files at a commit are split into chunks, embedded and kept in a local
+// vector store. During reviews the chunks most similar to each changed
+// hunk are offered to the model as reference.
+class CodeIndex {
+  constructor({ store, embedder }) {
+    this.store = store;
+    this.embedder = embedder;
+    this.maxFiles = parseInt(process.env.CODE_INDEX_MAX_FILES, 10) || 5000;
+    this.maxArchiveBytes = (parseInt(process.env.CODE_INDEX_MAX_ARCHIVE_MB, 10) || 50) * 1024 * 1024;
+    this.maxUnpackedBytes = (parseInt(process.env.CODE_INDEX_MAX_UNPACKED_MB, 10) || 500) * 1024 * 1024;
+    this.topK = parseInt(process.env.CODE_INDEX_TOP_K, 10) || 3;
+    this.minScore = parseFloat(process.env.CODE_INDEX_MIN_SCORE) || 0.5;
+    this.tokenBudget = parseInt(process.env.CODE_INDEX_TOKENS, 10) || 1500;
+    this.maxQueries = 40;
+  }
+
+  // Summary of a stored index for status routes
+  describe(index) {
+    if (!index) {
+      return { status: 'missing' };
+    }
+
+    const { chunks, ...meta } = index;
+    return { status: 'ready', ...meta, chunks: chunks.length };
+  }
+
+  status(owner, repo) {
+    return this.describe(this.store.load(owner, repo));
+  }
+
+  // Index a repository at a ref (default: its default branch). Chunks
+  // that did not change since the last build keep their vectors. Resolves
+  // to { success, index } with the index summary.
+  async build(githubAPI, owner, repo, { ref, signal, onProgress = () => {} } = {}) {
+    const startedAt = Date.now();
+    const embedderStatus = await this.embedder.checkStatus();
+    if (!embedderStatus.available) {
+      return { success: false, status: 503, error: embedderStatus.error };
+    }
+
+    if (!ref) {
+      const repoResult = await githubAPI.getRepository(owner, repo);
+      if (!repoResult.success) {
+        return { success: false, status: 404, error: 'Repository not found or access denied' };
+      }
+      ref = repoResult.repo.default_branch;
+    }
+
+    const shaResult = await githubAPI.getCommitSha(owner, repo, ref);
+    if (!shaResult.success) {
+      return { success: false, status: 404, error: shaResult.error };
+    }
+    const sha = shaResult.sha;
+
+    onProgress({ stage: 'downloading', ref, sha });
+    const archive = await githubAPI.downloadTarball(owner, repo, sha, { maxBytes: this.maxArchiveBytes });
+    if (!archive.success) {
+      return { success: false, status: 502, error: `Failed to download the repository: ${archive.error}` };
+    }
+
+    let files;
+    try {
+      files = (await readTarball(archive.data, { filter: indexablePath, maxBytes: this.maxUnpackedBytes })).filter(indexableContent);
+    } catch (error) {
+      return { success: false, status: 502, error: `Failed to read the repository archive: ${error.message}` };
+    }
+    const truncated = files.length > this.maxFiles;
+    files = files.slice(0, this.maxFiles);
+
+    // Chunk text reaches the model during reviews, so secrets are redacted
+    const chunks = files.flatMap(file => chunkSource(file.path, redactText(file.content.toString('utf8'))))
+      .map(chunk => ({ ...chunk, hash: hash(embeddingText(chunk.file, chunk.text)) }));
+
+    const previous = this.store.load(owner, repo);
+    const known = new Map(previous && previous.model === this.embedder.model
+      ? previous.chunks.map(chunk => [chunk.hash, chunk.vector])
+      : []);
+    const pending = chunks.filter(chunk => !known.has(chunk.hash));
+
+    onProgress({ stage: 'embedding', completed: 0, total: pending.length });
+    const embedded = await this.embedder.embed(pending.map(chunk => embeddingText(chunk.file, chunk.text)), {
+      signal,
+      onProgress: completed => onProgress({ stage: 'embedding', completed, total: pending.length })
+    });
+    if (!embedded.success) {
+      return { success: false, status: 502, error: embedded.error };
+    }
+    pending.forEach((chunk, i) => known.set(chunk.hash, embedded.vectors[i]));
+
+    const index = {
+      owner,
+      repo,
+      ref,
+      sha,
+      provider: this.embedder.name,
+      model: this.embedder.model,
+      files: files.length,
+      filesTruncated: truncated,
+      embedded: pending.length,
+      reused: chunks.length - pending.length,
+      builtAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      chunks: chunks.map(chunk => ({ ...chunk, vector: known.get(chunk.hash) }))
+    };
+    this.store.save(index);
+    console.log(`🗂️  Indexed ${owner}/${repo} at ${sha.slice(0, 7)}: ${files.length} files, ${chunks.length} chunks (${pending.length} embedded)`);
+
+    return { success: true, index: this.describe(index) };
+  }
+
+  // Rebuild an existing index at the latest commit of the ref it was built
+  // from, embedding only chunks that changed
+  async refresh(githubAPI, owner, repo, options = {}) {
+    const current = this.store.load(owner, repo);
+    if (!current) {
+      return { success: false, status: 404, error: `${owner}/${repo} has no code index yet` };
+    }
+    return await this.build(githubAPI, owner, repo, { ...options, ref: current.ref });
+  }
+
+  // Files that may differ between the indexed commit and the pull
+  // request's base: those changed on either side since the two diverged.
+  // Resolves to a Set, or null when GitHub cannot tell.
+  async filesChangedBetween(githubAPI, owner, repo, indexSha, baseSha) {
+    const files = new Set();
+
+    for (const [base, head] of [[indexSha, baseSha], [baseSha, indexSha]]) {
+      const result = await githubAPI.compareCommits(owner, repo, base, head);
+      if (!result.success || result.comparison.filesTruncated) {
+        return null;
+      }
+      for (const file of result.comparison.files) {
+        files.add(file.filename);
+        if (file.previous_filename) files.add(file.previous_filename);
+      }
+    }
+
+    return files;
+  }
+
+  // Snippets of the indexed repository most similar to the hunks of the
+  // changed files, within the token budget. Chunks of the changed files
+  // themselves are left out: the index predates the changes. So are
+  // chunks of files that differ between the indexed commit and baseSha,
+  // so the model only sees code as it is at the base. Resolves to null
+  // without an index, else { success, snippets, stats }.
+  async retrieve(githubAPI, owner, repo, files, { baseSha, signal } = {}) {
+    const index = this.store.load(owner, repo);
+    if (!index) {
+      return null;
+    }
+    if (index.model !== this.embedder.model) {
+      return { success: false, error: `The code index was built with ${index.model}, not ${this.embedder.model}; refresh it` };
+    }
+
+    const changed = new Set(files.flatMap(file => [file.filename, file.previous_filename].filter(Boolean)));
+    const queries = [];
+    for (const file of files) {
+      for (const hunk of file.patch ? splitPatchIntoHunks(file.patch) : []) {
+        const text = hunk.lines.filter(line => !line.startsWith('-') && !line.startsWith('\\')).map(line => line.slice(1)).join('\n');
+        if (text.trim() && queries.length < this.maxQueries) {
+          queries.push({ file: file.filename, text: embeddingText(file.filename, text) });
+        }
+      }
+    }
+    if (queries.length === 0) {
+      return { success: true, snippets: [], stats: this.retrievalStats(index, baseSha, 0, new Set()) };
+    }
+
+    let outdated = new Set();
+    if (baseSha && index.sha !== baseSha) {
+      outdated = await this.filesChangedBetween(githubAPI, owner, repo, index.sha, baseSha);
+      if (!outdated) {
+        return { success: false, error: `Cannot tell which files changed between the indexed commit ${index.sha.slice(0, 7)} and the base ${baseSha.slice(0, 7)}; refresh the index` };
+      }
+    }
+
+    const embedded = await this.embedder.embed(queries.map(query => query.text), { signal });
+    if (!embedded.success) {
+      return { success: false, error: embedded.error };
+    }
+
+    // Best match of each chunk over all hunks
+    const matches = new Map();
+    queries.forEach((query, i) => {
+      const results = this.store.search(index, embedded.vectors[i], {
+        k: this.topK,
+        minScore: this.minScore,
+        filter: chunk => !changed.has(chunk.file) && !outdated.has(chunk.file)
+      });
+      for (const { chunk, score } of results) {
+        const key = `${chunk.file}:${chunk.start}`;
+        if (!matches.has(key) || matches.get(key).score < score) {
+          matches.set(key, { chunk, score, usedIn: query.file });
+        }
+      }
+    });
+
+    const stats = this.retrievalStats(index, baseSha, queries.length, outdated);
+    const snippets = [];
+    let budgetLeft = this.tokenBudget;
+    for (const { chunk, score, usedIn } of [...matches.values()].sort((a, b) => b.score - a.score)) {
+      const tokens = estimateTokens(chunk.text);
+      if (tokens > budgetLeft) {
+        stats.omitted++;
+        continue;
+      }
+      budgetLeft -= tokens;
+      stats.tokens += tokens;
+      snippets.push({ file: chunk.file, start: chunk.start, end: chunk.end, text: chunk.text, score: Math.round(score * 1000) / 1000, usedIn });
+    }
+
+    return { success: true, snippets, stats };
+  }
+
+  retrievalStats(index, baseSha, queries, outdated) {
+    return {
+      indexSha: index.sha,
+      stale: Boolean(baseSha) && index.sha !== baseSha,
+      outdatedFiles: outdated.size,
+      queries,
+      tokens: 0,
+      tokenBudget: this.tokenBudget,
+      omitted: 0
+    };
+  }
+}
+
+module.exports = CodeIndex;
@@ -0,0 +1,331 @@
+// Review context beyond the diff: hunks expanded with surrounding lines of
+// the file, and the definitions of symbols the changed lines use
+
+const path = require('path');
+
+const { estimateTokens, splitPatchIntoHunks } = require('./diff-chunker');
+const { redactText } = require('./secret-scanner');
+
+// Lines of a definition shown at most
+const MAX_DEFINITION_LINES = 40;
+// Relative imports of a changed file searched for definitions
+const MAX_IMPORTED_MODULES = 5;
+
+// Words followed by "(" that are not calls of a defined symbol
+const KEYWORDS = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'typeof', 'instanceof', 'new', 'await',
+  'async', 'yield', 'delete', 'void', 'super', 'this', 'require', 'import', 'export', 'class', 'constructor',
+  'def', 'elif', 'print', 'lambda', 'with', 'assert', 'not', 'and', 'or', 'in', 'is', 'func', 'go', 'defer',
+  'sizeof', 'else', 'do', 'try', 'throw', 'case', 'let', 'const', 'var'
+]);
+
+// Extensions tried when resolving a relative import without one
+const MODULE_SUFFIXES = ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs', '/index.js', '/index.ts'];
+const PYTHON_SUFFIXES = ['.py', '/__init__.py'];
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lines that define a symbol in JavaScript/TypeScript, Python or Go
+function definitionPatterns(name) {
+  const symbol = escapeRegExp(name);
+  return [
+    new RegExp(`^\\s*(?:export\\s+)?(?:default\\s+)?(?:async\\s+)?function\\s*\\*?\\s*${symbol}\\s*[(<]`),
+    new RegExp(`^\\s*(?:export\\s+)?(?:const|let|var)\\s+${symbol}\\s*(?::[^=]+)?=`),
+    new RegExp(`^\\s*(?:export\\s+)?(?:default\\s+)?(?:abstract\\s+)?(?:class|interface|type|enum)\\s+${symbol}\\b`),
+    new RegExp(`^\\s*(?:(?:static|async|public|private|protected|get|set)\\s+)*${symbol}\\s*\\([^)]*\\)\\s*(?::[^{]+)?\\{\\s*$`),
+    new RegExp(`^\\s*(?:async\\s+)?(?:def|class)\\s+${symbol}\\b`),
+    new RegExp(`^func\\s+(?:\\([^)]*\\)\\s*)?${symbol}\\s*\\(`),
+    new RegExp(`^type\\s+${symbol}\\s`)
+  ];
+}
+
+// Split file contents into lines without the empty string after a final newline
+function contentLines(content) {
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Old and new line ranges covered by a hunk
+function hunkRange(hunk) {
+  const counts = hunk.header.match(/^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/) || [];
+  const oldCount = counts[1] === undefined ? 1 : parseInt(counts[1], 10);
+  const newCount = counts[2] === undefined ? 1 : parseInt(counts[2], 10);
+  // A zero line count means the start number is the line before the hunk
+  const oldFirst = oldCount === 0 ? hunk.oldStart + 1 : hunk.oldStart;
+  const newFirst = newCount === 0 ? hunk.newStart + 1 : hunk.newStart;
+  return { oldFirst, newFirst, newLast: newFirst + newCount - 1 };
+}
+
+// Whether the patch's context and added lines match the file contents, so
+// lines around the hunks can be taken from them
+function patchMatchesContent(hunks, lines) {
+  return hunks.every(hunk => {
+    let newLine = hunkRange(hunk).newFirst;
+    for (const line of hunk.lines) {
+      if (line.startsWith('+') || line.startsWith(' ')) {
+        if (lines[newLine - 1] !== line.slice(1)) return false;
+        newLine++;
+      }
+    }
+    return true;
+  });
+}
+
+// Expand every hunk of a patch with up to contextLines unchanged lines of
+// the new file on each side. Hunks that come close are merged. Returns the
+// patch unchanged when it does not match the contents.
+function expandPatch(patch, content, contextLines) {
+  const hunks = splitPatchIntoHunks(patch);
+  const lines = contentLines(content);
+  if (contextLines <= 0 || hunks.length === 0 || !patchMatchesContent(hunks, lines)) {
+    return patch;
+  }
+
+  const context = (from, to) => lines.slice(from - 1, to).map(line => ` ${line}`);
+  const groups = [];
+
+  for (const hunk of hunks) {
+    const { oldFirst, newFirst, newLast } = hunkRange(hunk);
+    const body = hunk.lines.filter(line => line !== '');
+    const previous = groups[groups.length - 1];
+
+    if (previous && newFirst - contextLines <= previous.newLast + contextLines + 1) {
+      previous.lines.push(...context(previous.newLast + 1, newFirst - 1), ...body);
+      previous.newLast = newLast;
+      continue;
+    }
+
+    const start = Math.max(1, newFirst - contextLines);
+    groups.push({
+      oldStart: oldFirst - (newFirst - start),
+      newStart: start,
+      suffix: hunk.header.replace(/^@@ [^@]* @@/, ''),
+      lines: [...context(start, newFirst - 1), ...body],
+      newLast
+    });
+  }
+
+  return groups.map(group => {
+    group.lines.push(...context(group.newLast + 1, Math.min(lines.length, group.newLast + contextLines)));
+    const oldCount = group.lines.filter(line => line.startsWith(' ') || line.startsWith('-')).length;
+    const newCount = group.lines.filter(line => line.startsWith(' ') || line.startsWith('+')).length;
+    return [`@@ -${group.oldStart},${oldCount} +${group.newStart},${newCount} @@${group.suffix}`, ...group.lines].join('\n');
+  }).join('\n');
+}
+
+// Symbols the added lines of a patch call or name (capitalized words are
+// taken as classes, types and constants)
+function referencedSymbols(patch) {
+  const symbols = new Set();
+
+  for (const line of patch.split('\n')) {
+    if (!line.startsWith('+')) continue;
+    const code = line.slice(1).replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""');
+
+    for (const match of code.matchAll(/(?<![\w$.])([A-Za-z_$][\w$]*)\s*\(/g)) {
+      symbols.add(match[1]);
+    }
+    for (const match of code.matchAll(/(?<![\w$.])([A-Z][\w$]*[a-z][\w$]*)\b/g)) {
+      symbols.add(match[1]);
+    }
+    // Methods called on this/self/module objects
+    for (const match of code.matchAll(/\b(?:this|self|[a-z][\w$]*)\.([A-Za-z_$][\w$]*)\s*\(/g)) {
+      symbols.add(match[1]);
+    }
+  }
+
+  return [...symbols].filter(symbol => !KEYWORDS.has(symbol) && symbol.length > 1);
+}
+
+// The lines of a definition starting at index: the indented block in
+// Python, up to the matching closing brace elsewhere
+function definitionBlock(lines, index, python) {
+  const end = Math.min(lines.length, index + MAX_DEFINITION_LINES);
+  let last = index;
+
+  if (python) {
+    const indent = lines[index].match(/^\s*/)[0].length;
+    for (let i = index + 1; i < end; i++) {
+      if (!lines[i].trim()) continue;
+      if (lines[i].match(/^\s*/)[0].length <= indent) break;
+      last = i;
+    }
+  } else {
+    let depth = 0;
+    let opened = false;
+    for (let i = index; i < end; i++) {
+      for (const char of lines[i].replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""')) {
+        if (char === '{' || char === '(' || char === '[') {
+          depth++;
+          opened = opened || char === '{';
+        } else if (char === '}' || char === ')' || char === ']') {
+          depth--;
+        }
+      }
+      last = i;
+      // Done once brackets are balanced, unless the statement goes on
+      if (depth <= 0 && (opened || !/(?:[=({[,]|=>)\s*$/.test(lines[i]))) break;
+    }
+  }
+
+  const truncated = last === end - 1 && end < lines.length;
+  return {
+    start: index + 1,
+    end: last + 1,
+    text: lines.slice(index, last + 1).join('\n') + (truncated ? '\n...' : '')
+  };
+}
+
+// Find the definition of a symbol in file contents. skip excludes line
+// numbers the model already sees.
+function findDefinition(content, symbol, filename, skip = new Set()) {
+  const lines = contentLines(content);
+  const patterns = definitionPatterns(symbol);
+  const python = /\.py$/i.test(filename);
+
+  for (let i = 0; i < lines.length; i++) {
+    if (skip.has(i + 1)) continue;
+    if (patterns.some(pattern => pattern.test(lines[i]))) {
+      return definitionBlock(lines, i, python);
+    }
+  }
+  return null;
+}
+
+// Repository paths of the relative imports of a file, each with the
+// candidate file names to try
+function relativeImports(content, filename) {
+  const dir = path.posix.dirname(filename);
+  const imports = [];
+
+  if (/\.py$/i.test(filename)) {
+    for (const match of content.matchAll(/^\s*from\s+(\.+)([\w.]*)\s+import\b/gm)) {
+      const up = '../'.repeat(match[1].length - 1);
+      const base = path.posix.normalize(path.posix.join(dir, up, match[2].replace(/\./g, '/') || '.'));
+      imports.push(PYTHON_SUFFIXES.map(suffix => base.replace(/^\.$/, '') + suffix).map(file => file.replace(/^\//, '')));
+    }
+  } else {
+    for (const match of content.matchAll(/(?:require\s*\(\s*|from\s+|import\s+)['"](\.{1,2}\/[^'"]+)['"]/g)) {
+      const base = path.posix.normalize(path.posix.join(dir, match[1]));
+      if (base.startsWith('..')) continue;
+      imports.push(path.posix.extname(base) ? [base] : MODULE_SUFFIXES.map(suffix => base + suffix));
+    }
+  }
+
+  return imports.slice(0, MAX_IMPORTED_MODULES);
+}
+
+// Lines of the new file a patch shows
+function shownLines(patch) {
+  const lines = new Set();
+  for (const hunk of splitPatchIntoHunks(patch)) {
+    let newLine = hunkRange(hunk).newFirst;
+    for (const line of hunk.lines) {
+      if (line.startsWith('+') || line.startsWith(' ')) lines.add(newLine++);
+    }
+  }
+  return lines;
+}
+
+// Fetch the changed files at base and head, expand their hunks with
+// contextLines of surrounding code and collect the definitions of symbols
+// the added lines use (from the same file, its relative imports, or the
+// base version when the PR removed them) within tokenBudget. With redact
+// set, secrets in the contents are redacted like the diff. Resolves to
+// { files, definitions, stats }.
+async function retrieveContext(githubAPI, { owner, repo, baseSha, headSha, files, contextLines, tokenBudget, maxFiles = 50, redact = true }) {
+  const cache = new Map();
+  const fetchContent = async (filename, ref) => {
+    const key = `${ref}:${filename}`;
+    if (!cache.has(key)) {
+      const result = await githubAPI.getFileContent(owner, repo, filename, ref);
+      const content = result.success ? result.content : null;
+      cache.set(key, content !== null && redact ? redactText(content) : content);
+    }
+    return cache.get(key);
+  };
+  const fetchModule = async candidates => {
+    for (const candidate of candidates) {
+      const content = await fetchContent(candidate, headSha);
+      if (content !== null) return { filename: candidate, content };
+    }
+    return null;
+  };
+
+  const stats = { contextLines, expandedFiles: 0, tokenBudget, tokens: 0, omittedDefinitions: 0 };
+  const definitions = [];
+  const seen = new Set();
+  let budgetLeft = tokenBudget;
+
+  const expanded = [];
+  for (const [index, file] of files.entries()) {
+    if (index >= maxFiles || !file.patch || file.status === 'removed') {
+      expanded.push(file);
+      continue;
+    }
+
+    const head = await fetchContent(file.filename, headSha);
+    if (head === null) {
+      expanded.push(file);
+      continue;
+    }
+
+    const patch = expandPatch(file.patch, head, contextLines);
+    if (patch !== file.patch) stats.expandedFiles++;
+    expanded.push(patch === file.patch ? file : { ...file, patch });
+
+    if (tokenBudget <= 0) continue;
+
+    const shown = shownLines(patch);
+    const imports = relativeImports(head, file.filename);
+    for (const symbol of referencedSymbols(file.patch)) {
+      if (seen.has(symbol)) continue;
+
+      let found = null;
+      const local = findDefinition(head, symbol, file.filename, shown);
+      const inHunk = !local && findDefinition(head, symbol, file.filename) !== null;
+      if (inHunk) continue;
+
+      if (local) {
+        found = { ...local, source: file.filename };
+      }
+      for (const candidates of found ? [] : imports) {
+        const module = await fetchModule(candidates);
+        const definition = module && findDefinition(module.content, symbol, module.filename);
+        if (definition) {
+          found = { ...definition, source: module.filename };
+          break;
+        }
+      }
+      if (!found && file.status !== 'added') {
+        const base = await fetchContent(file.previous_filename || file.filename, baseSha);
+        const definition = base && findDefinition(base, symbol, file.filename);
+        if (definition) {
+          found = { ...definition, source: file.previous_filename || file.filename, removed: true };
+        }
+      }
+      if (!found) continue;
+
+      seen.add(symbol);
+      const tokens = estimateTokens(found.text);
+      if (tokens > budgetLeft) {
+        stats.omittedDefinitions++;
+        continue;
+      }
+      budgetLeft -= tokens;
+      stats.tokens += tokens;
+      definitions.push({ symbol, usedIn: file.filename, ...found });
+    }
+  }
+
+  return { files: expanded, definitions, stats };
+}
+
+module.exports = {
+  expandPatch,
+  referencedSymbols,
+  findDefinition,
+  relativeImports,
+  retrieveContext
+};
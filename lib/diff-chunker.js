@@ -0,0 +1,248 @@
+// Splits pull request file patches into review chunks that fit a token budget
+
+// Rough token estimate (~4 characters per token is close enough for code)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Split a single file patch into its hunks
+function splitPatchIntoHunks(patch) {
+  const hunks = [];
+  let current = null;
+
+  for (const line of patch.split('\n')) {
+    if (line.startsWith('@@')) {
+      const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+      current = {
+        header: line,
+        oldStart: match ? parseInt(match[1], 10) : 0,
+        newStart: match ? parseInt(match[3], 10) : 0,
+        lines: []
+      };
+      hunks.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return hunks.map(hunk => ({
+    header: hunk.header,
+    oldStart: hunk.oldStart,
+    newStart: hunk.newStart,
+    lines: hunk.lines,
+    text: [hunk.header, ...hunk.lines].join('\n')
+  }));
+}
+
+// Prefix each hunk line with its line number in the new file so the model
+// can point at exact lines
+function numberHunkLines(hunk) {
+  let newLine = hunk.newStart;
+  const numbered = hunk.lines.map(line => {
+    if (line.startsWith('-') || line.startsWith('\\')) {
+      return `      ${line}`;
+    }
+    return `${String(newLine++).padStart(5)} ${line}`;
+  });
+
+  return { ...hunk, text: [hunk.header, ...numbered].join('\n') };
+}
+
+// Line numbers (new file side) that GitHub accepts for inline review comments
+function getCommentableLines(patch) {
+  const lines = new Set();
+  if (!patch) return lines;
+
+  for (const hunk of splitPatchIntoHunks(patch)) {
+    let newLine = hunk.newStart;
+    for (const line of hunk.lines) {
+      if (line.startsWith('+') || line.startsWith(' ')) {
+        lines.add(newLine++);
+      }
+    }
+  }
+
+  return lines;
+}
+
+// Line numbers (new file side) that the patch added
+function getAddedLines(patch) {
+  const lines = new Set();
+  if (!patch) return lines;
+
+  for (const hunk of splitPatchIntoHunks(patch)) {
+    let newLine = hunk.newStart;
+    for (const line of hunk.lines) {
+      if (line.startsWith('+')) {
+        lines.add(newLine++);
+      } else if (line.startsWith(' ')) {
+        newLine++;
+      }
+    }
+  }
+
+  return lines;
+}
+
+// Follow a line of the old file through a patch. Returns its line number in
+// the new file, or null when the patch removed or changed that line.
+function mapLineToNewFile(patch, oldLine) {
+  let offset = 0;
+  if (!patch) return oldLine;
+
+  for (const hunk of splitPatchIntoHunks(patch)) {
+    const counts = hunk.header.match(/^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/) || [];
+    // A zero line count means the start number is the line before the hunk
+    let oldNumber = counts[1] === '0' ? hunk.oldStart + 1 : hunk.oldStart;
+    let newNumber = counts[2] === '0' ? hunk.newStart + 1 : hunk.newStart;
+
+    if (oldLine < oldNumber) {
+      return oldLine + offset;
+    }
+
+    for (const line of hunk.lines) {
+      if (line.startsWith(' ')) {
+        if (oldNumber === oldLine) return newNumber;
+        oldNumber++;
+        newNumber++;
+      } else if (line.startsWith('-')) {
+        if (oldNumber === oldLine) return null;
+        oldNumber++;
+      } else if (line.startsWith('+')) {
+        newNumber++;
+      }
+    }
+
+    offset = newNumber - oldNumber;
+  }
+
+  return oldLine + offset;
+}
+
+// Cut a hunk that is bigger than a whole chunk down to the budget
+function truncateHunk(hunk, tokenBudget) {
+  const lines = hunk.text.split('\n');
+  const kept = [];
+  let tokens = 0;
+
+  for (const line of lines) {
+    const lineTokens = estimateTokens(line + '\n');
+    if (tokens + lineTokens > tokenBudget) break;
+    kept.push(line);
+    tokens += lineTokens;
+  }
+
+  const dropped = lines.length - kept.length;
+  return {
+    ...hunk,
+    text: `${kept.join('\n')}\n... (hunk truncated, ${dropped} more lines not reviewed)`
+  };
+}
+
+function fileHeader(filename) {
+  return `diff --git a/${filename} b/${filename}\n--- a/${filename}\n+++ b/${filename}`;
+}
+
+// Pack file hunks into chunks of at most `tokenBudget` tokens each.
+// Returns the chunks plus a coverage report telling which files were
+// reviewed fully, partially, or skipped.
+function chunkFiles(files, options = {}) {
+  const tokenBudget = options.tokenBudget || 3000;
+  const maxChunks = options.maxChunks || 12;
+
+  const chunks = [];
+  const stats = new Map();
+  const skipped = [];
+  let current = null;
+
+  const closeChunk = () => {
+    if (current && current.pieces.length > 0) {
+      chunks.push({
+        files: [...new Set(current.pieces.map(piece => piece.filename))],
+        diff: current.pieces.map(piece => piece.text).join('\n'),
+        tokens: current.tokens
+      });
+    }
+    current = null;
+  };
+
+  for (const file of files) {
+    if (!file.patch) {
+      skipped.push({
+        filename: file.filename,
+        reason: 'No textual diff available (binary or too large)'
+      });
+      continue;
+    }
+
+    const hunks = splitPatchIntoHunks(file.patch);
+    if (hunks.length === 0) {
+      skipped.push({ filename: file.filename, reason: 'No content changes' });
+      continue;
+    }
+
+    const fileStats = { total: hunks.length, included: 0, truncated: false };
+    stats.set(file.filename, fileStats);
+
+    for (let hunk of hunks) {
+      if (options.lineNumbers) {
+        hunk = numberHunkLines(hunk);
+      }
+
+      const headerTokens = estimateTokens(fileHeader(file.filename) + '\n');
+
+      if (estimateTokens(hunk.text) + headerTokens > tokenBudget) {
+        hunk = truncateHunk(hunk, tokenBudget - headerTokens);
+        fileStats.truncated = true;
+      }
+
+      const sameFile = current && current.lastFile === file.filename;
+      const pieceTokens = estimateTokens((sameFile ? hunk.text : `${fileHeader(file.filename)}\n${hunk.text}`) + '\n');
+
+      if (current && current.tokens + pieceTokens > tokenBudget) {
+        closeChunk();
+      }
+
+      if (!current) {
+        if (chunks.length >= maxChunks) break;
+        current = { pieces: [], tokens: 0, lastFile: null };
+      }
+
+      // A new chunk always needs the file header again
+      const text = current.lastFile === file.filename ? hunk.text : `${fileHeader(file.filename)}\n${hunk.text}`;
+      current.pieces.push({ filename: file.filename, text });
+      current.tokens += estimateTokens(text + '\n');
+      current.lastFile = file.filename;
+      fileStats.included++;
+    }
+  }
+
+  closeChunk();
+
+  const coverage = { reviewed: [], partial: [], skipped };
+  for (const [filename, fileStats] of stats) {
+    if (fileStats.included === 0) {
+      skipped.push({ filename, reason: `Chunk limit reached (${maxChunks} chunks)` });
+    } else if (fileStats.included < fileStats.total) {
+      coverage.partial.push({
+        filename,
+        reason: `${fileStats.included} of ${fileStats.total} hunks reviewed (chunk limit reached)`
+      });
+    } else if (fileStats.truncated) {
+      coverage.partial.push({ filename, reason: 'Oversized hunk truncated to fit the token budget' });
+    } else {
+      coverage.reviewed.push(filename);
+    }
+  }
+
+  return { chunks, coverage };
+}
+
+module.exports = {
+  estimateTokens,
+  splitPatchIntoHunks,
+  getCommentableLines,
+  getAddedLines,
+  mapLineToNewFile,
+  chunkFiles
+};
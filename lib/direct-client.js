@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+
+const GitHubAPI = require('./github-api');
+const PRAnalyzer = require('./pr-analyzer');
+const ReviewPublisher = require('./review-publisher');
+const ReviewHistory = require('./review-history');
+const { createProvider, defaultProviderName, providerNames } = require('./llm-providers');
+
+// CLI backend that needs no server: the library modules run in-process
+// with the user's GitHub token and the LLM provider configured in the
+// environment. Same methods and results as ServerClient.
+class DirectClient {
+  constructor({ dataDir }) {
+    this.mode = 'direct';
+    this.token = null;
+    this.user = null;
+    this.scope = null;
+    this.readOnly = false;
+    this.llm = createProvider();
+
+    // Reviews are recorded so incremental reviews work between runs
+    fs.mkdirSync(dataDir, { recursive: true, mode: 0o700 });
+    this.analyzer = new PRAnalyzer(this.llm, { history: new ReviewHistory(path.join(dataDir, 'review-history.json')) });
+  }
+
+  describe() {
+    return 'direct mode (no server)';
+  }
+
+  async checkStatus() {
+    if (!this.llm) {
+      return { success: false, error: `Unknown LLM_PROVIDER "${defaultProviderName()}". Use one of: ${providerNames().join(', ')}` };
+    }
+    return { success: true };
+  }
+
+  async connect({ token, readOnly = false }) {
+    const userResult = await new GitHubAPI(token).getAuthenticatedUser();
+    if (!userResult.success) {
+      return { success: false, status: 401, error: `GitHub rejected the token: ${userResult.error}` };
+    }
+
+    this.token = token;
+    this.user = userResult.user;
+    this.scope = userResult.scopes;
+    this.readOnly = readOnly;
+    return { success: true, user: this.user };
+  }
+
+  get githubAPI() {
+    return new GitHubAPI(this.token);
+  }
+
+  async getUser() {
+    return {
+      success: true,
+      user: { login: this.user.login, name: this.user.name, avatar_url: this.user.avatar_url, email: this.user.email },
+      scope: this.scope,
+      readOnly: this.readOnly
+    };
+  }
+
+  async getRepos() {
+    return await this.githubAPI.getUserRepos();
+  }
+
+  async getPulls(owner, repo) {
+    return await this.githubAPI.getPullRequests(owner, repo);
+  }
+
+  async getLLMStatus() {
+    const status = await this.llm.checkStatus();
+    return { success: true, status: { ...this.llm.describe(), ...status } };
+  }
+
+  // Analyze in this process; --model overrides .ai-reviewer.yml as it
+  // does for server requests
+  async analyze(owner, repo, prNumber, { incremental = false, model, signal, onProgress, onToken } = {}) {
+    return await this.analyzer.analyze(this.githubAPI, {
+      owner,
+      repo,
+      prNumber,
+      llm: model ? createProvider(this.llm.name, { model }) : this.llm,
+      explicitModel: Boolean(model),
+      signal,
+      onProgress,
+      onToken,
+      source: 'cli',
+      requestedBy: this.user.login,
+      incremental
+    });
+  }
+
+  async postReview({ owner, repo, prNumber, review, mode = 'comment', event = 'COMMENT', comments = [], commitId, model }) {
+    if (this.readOnly) {
+      return { success: false, status: 403, error: 'You logged in read-only; log in again with full access to post reviews' };
+    }
+
+    const publisher = new ReviewPublisher(this.githubAPI, model || this.llm.model);
+    const result = mode === 'review'
+      ? await publisher.postInlineReview(owner, repo, prNumber, { reviewText: review, event, comments, commitId })
+      : await publisher.postComment(owner, repo, prNumber, review);
+
+    return result.success ? { ...result, mode } : result;
+  }
+
+  // Nothing to end: the token stays in the CLI's credentials file
+  async logout() {
+    return { success: true };
+  }
+}
+
+module.exports = DirectClient;
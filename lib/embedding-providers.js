@@ -0,0 +1,30 @@
+const OllamaEmbeddings = require('./ollama-embeddings');
+const MockEmbeddings = require('./mock-embeddings');
+
+// Available embedding backends by the name used in EMBEDDING_PROVIDER
+const PROVIDERS = {
+  ollama: OllamaEmbeddings,
+  mock: MockEmbeddings
+};
+
+function defaultEmbeddingProviderName() {
+  return (process.env.EMBEDDING_PROVIDER || 'ollama').toLowerCase();
+}
+
+function embeddingProviderNames() {
+  return Object.keys(PROVIDERS);
+}
+
+// Create an embedding provider by name (defaults to EMBEDDING_PROVIDER).
+// Returns null for unknown names.
+function createEmbeddingProvider(name = defaultEmbeddingProviderName(), options = {}) {
+  const Provider = Object.prototype.hasOwnProperty.call(PROVIDERS, name) ? PROVIDERS[name] : null;
+  return Provider ? new Provider(options) : null;
+}
+
+module.exports = {
+  PROVIDERS,
+  embeddingProviderNames,
+  defaultEmbeddingProviderName,
+  createEmbeddingProvider
+};
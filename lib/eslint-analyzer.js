@@ -0,0 +1,100 @@
+const path = require('path');
+
+const StaticAnalyzer = require('./static-analyzer');
+
+const JAVASCRIPT = /\.[cm]?jsx?$/i;
+
+// Core rules used when no ESLint config is given: they catch bugs and need
+// neither plugins nor knowledge of the project's globals
+const DEFAULT_RULES = {
+  'no-unreachable': 'error',
+  'no-dupe-keys': 'error',
+  'no-dupe-args': 'error',
+  'no-duplicate-case': 'error',
+  'no-self-compare': 'error',
+  'no-self-assign': 'error',
+  'no-const-assign': 'error',
+  'no-func-assign': 'error',
+  'no-unsafe-finally': 'error',
+  'no-unsafe-negation': 'error',
+  'use-isnan': 'error',
+  'valid-typeof': 'error',
+  'no-constant-condition': 'warn',
+  'no-unused-vars': 'warn',
+  'no-empty': 'warn',
+  'eqeqeq': 'warn'
+};
+
+// ESLint through its Node API. ESLint is not a dependency of the reviewer:
+// it is used when installed next to it (npm install eslint). ESLINT_CONFIG
+// points at a flat config file; without one DEFAULT_RULES apply.
+class ESLintAnalyzer extends StaticAnalyzer {
+  constructor() {
+    super({ name: 'eslint', label: 'ESLint' });
+    this.configFile = process.env.ESLINT_CONFIG ? path.resolve(process.env.ESLINT_CONFIG) : null;
+  }
+
+  supports(filename) {
+    return JAVASCRIPT.test(filename);
+  }
+
+  loadESLint() {
+    try {
+      return require(require.resolve('eslint', { paths: [process.cwd(), __dirname] }));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async checkStatus() {
+    const eslint = this.loadESLint();
+    if (!eslint || !eslint.ESLint) {
+      return { available: false, error: 'ESLint is not installed (npm install eslint)' };
+    }
+    return { available: true, version: eslint.ESLint.version };
+  }
+
+  async analyze(files) {
+    const { ESLint } = this.loadESLint() || {};
+    if (!ESLint) {
+      return { success: false, error: 'ESLint is not installed (npm install eslint)' };
+    }
+
+    return await this.withWorkspace(files, async dir => {
+      const eslint = new ESLint({
+        cwd: dir,
+        ...(this.configFile
+          ? { overrideConfigFile: this.configFile }
+          : {
+            overrideConfigFile: true,
+            overrideConfig: { languageOptions: { ecmaVersion: 'latest', sourceType: 'module' }, rules: DEFAULT_RULES }
+          })
+      });
+
+      try {
+        const results = await eslint.lintFiles(files.map(file => file.filename));
+        const diagnostics = [];
+
+        for (const result of results) {
+          const file = path.relative(dir, result.filePath).split(path.sep).join('/');
+          for (const message of result.messages) {
+            diagnostics.push({
+              file,
+              line: message.line || 1,
+              endLine: message.endLine,
+              rule: message.ruleId || 'parse-error',
+              level: message.severity === 2 ? 'error' : 'warning',
+              message: message.message
+            });
+          }
+        }
+
+        return { success: true, diagnostics };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+  }
+}
+
+module.exports = ESLintAnalyzer;
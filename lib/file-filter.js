@@ -0,0 +1,192 @@
+const { minimatch } = require('minimatch');
+
+const { isIgnored } = require('./review-config');
+const { splitPatchIntoHunks } = require('./diff-chunker');
+
+// Files that are never worth a reviewer's (or the model's) attention, by kind
+const DEFAULT_EXCLUDES = {
+  'lock file': [
+    'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb',
+    'Gemfile.lock', 'Cargo.lock', 'poetry.lock', 'Pipfile.lock', 'composer.lock', 'go.sum',
+    'packages.lock.json', 'Podfile.lock', 'mix.lock', 'pubspec.lock', 'flake.lock'
+  ],
+  'minified': ['*.min.js', '*.min.css', '*.min.mjs', '*.map'],
+  'snapshot': ['**/__snapshots__/**', '*.snap'],
+  'generated': [
+    '*.pb.go', '*.pb.gw.go', '*_pb2.py', '*_pb2.pyi', '*_pb2_grpc.py', '*.pb.cc', '*.pb.h',
+    '*_pb.js', '*_pb.d.ts', '*_grpc_pb.js', '*.pb.swift', '*.pb.dart', '*.g.dart', '*.designer.cs'
+  ],
+  'vendored': ['vendor/**', '**/vendor/**', 'node_modules/**', '**/node_modules/**', 'third_party/**', '**/third_party/**']
+};
+
+const BINARY_EXTENSIONS = new Set([
+  'png', 'jpg', 'jpeg', 'gif', 'bmp', 'ico', 'webp', 'tiff', 'psd',
+  'pdf', 'zip', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'jar', 'war',
+  'woff', 'woff2', 'ttf', 'otf', 'eot', 'mp3', 'mp4', 'mov', 'avi', 'wav', 'ogg', 'webm',
+  'exe', 'dll', 'so', 'dylib', 'a', 'o', 'class', 'pyc', 'wasm', 'bin', 'db', 'sqlite'
+]);
+
+// Markers tools put in a comment at the top of files they generate
+const GENERATED_HEADERS = [
+  /@generated\b/,
+  /\bCode generated\b.*\bDO NOT EDIT\b/i,
+  /\bauto-?generated\b/i,
+  /\b(?:was|is) (?:automatically )?generated by\b/i
+];
+
+const COMMENT_LINE = /^\s*(?:\/\/|\/\*|\*|#|<!--|--|;)/;
+
+// Added lines longer than this on average mean bundled or minified code
+const MINIFIED_LINE_LENGTH = 300;
+
+function matches(filename, pattern) {
+  const anchored = pattern.startsWith('/');
+  const glob = anchored ? pattern.slice(1) : pattern;
+  return minimatch(filename, glob, { dot: true, matchBase: !anchored && !glob.includes('/') });
+}
+
+// Parse .gitattributes into [{ pattern, attributes: { name: true|false|value } }]
+function parseGitattributes(text) {
+  const rules = [];
+
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const [pattern, ...tokens] = line.split(/\s+/);
+    const attributes = {};
+    for (const token of tokens) {
+      if (token.startsWith('-')) {
+        attributes[token.slice(1)] = false;
+      } else if (token.startsWith('!')) {
+        attributes[token.slice(1)] = undefined;
+      } else if (token.includes('=')) {
+        const [name, value] = token.split('=');
+        attributes[name] = value === 'true' ? true : value === 'false' ? false : value;
+      } else {
+        attributes[token] = true;
+      }
+    }
+
+    // The "binary" macro is short for -diff -merge -text
+    if (attributes.binary) {
+      attributes.diff = false;
+    }
+
+    rules.push({ pattern, attributes });
+  }
+
+  return rules;
+}
+
+// The attributes of a file; later lines win, as in git
+function attributesFor(rules, filename) {
+  const result = {};
+  for (const rule of rules) {
+    if (matches(filename, rule.pattern)) {
+      Object.assign(result, rule.attributes);
+    }
+  }
+  return result;
+}
+
+// Load .gitattributes at a ref. Resolves to { success, rules }; a missing
+// file gives no rules.
+async function loadGitattributes(githubAPI, owner, repo, ref) {
+  const result = await githubAPI.getFileContent(owner, repo, '.gitattributes', ref);
+  if (!result.success) {
+    return { success: false, error: `Failed to read .gitattributes: ${result.error}` };
+  }
+  return { success: true, rules: parseGitattributes(result.content) };
+}
+
+// Whether a file is excluded by a built-in rule; returns the kind or null
+function defaultExclusion(filename) {
+  for (const [kind, patterns] of Object.entries(DEFAULT_EXCLUDES)) {
+    if (patterns.some(pattern => matches(filename, pattern))) {
+      return kind;
+    }
+  }
+  return null;
+}
+
+// Whether the first lines of a newly started file carry a generated-code marker
+function hasGeneratedHeader(patch) {
+  const firstHunk = splitPatchIntoHunks(patch)[0];
+  if (!firstHunk || firstHunk.newStart !== 1) return false;
+
+  return firstHunk.lines
+    .filter(line => !line.startsWith('-'))
+    .slice(0, 10)
+    .map(line => line.slice(1))
+    .filter(line => COMMENT_LINE.test(line))
+    .some(line => GENERATED_HEADERS.some(pattern => pattern.test(line)));
+}
+
+function looksMinified(patch) {
+  const added = patch.split('\n').filter(line => line.startsWith('+') && !line.startsWith('+++'));
+  if (added.length === 0) return false;
+
+  const totalLength = added.reduce((sum, line) => sum + line.length - 1, 0);
+  return totalLength / added.length > MINIFIED_LINE_LENGTH;
+}
+
+// Decide which changed files are sent to the model. Files are skipped when
+// they match the config's ignore globs, a built-in exclusion (unless the
+// config's include globs bring them back), a linguist-generated,
+// linguist-vendored or binary attribute, or when their diff looks binary,
+// generated or minified. Returns { included, skipped: [{ filename, reason }] }.
+function filterFiles(files, { config, attributes = [] } = {}) {
+  const included = [];
+  const skipped = [];
+
+  for (const file of files) {
+    const reason = skipReason(file, config, attributes);
+    if (reason) {
+      skipped.push({ filename: file.filename, reason });
+    } else {
+      included.push(file);
+    }
+  }
+
+  return { included, skipped };
+}
+
+function skipReason(file, config, attributes) {
+  const { filename } = file;
+
+  if (config && isIgnored(config, filename)) {
+    return 'Ignored by .ai-reviewer.yml';
+  }
+
+  const forced = config && config.include.some(pattern => matches(filename, pattern));
+  const attrs = attributesFor(attributes, filename);
+
+  if (attrs['linguist-generated'] === true) return 'Marked linguist-generated in .gitattributes';
+  if (attrs['linguist-vendored'] === true) return 'Marked linguist-vendored in .gitattributes';
+  if (attrs.diff === false) return 'Marked binary in .gitattributes';
+
+  if (!forced) {
+    const kind = defaultExclusion(filename);
+    if (kind) return `Default exclusion (${kind})`;
+  }
+
+  const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+  if (BINARY_EXTENSIONS.has(extension)) return 'Binary file';
+
+  if (file.patch && !forced) {
+    if (hasGeneratedHeader(file.patch)) return 'Generated file (header marker)';
+    if (looksMinified(file.patch)) return 'Looks minified (very long lines)';
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_EXCLUDES,
+  parseGitattributes,
+  attributesFor,
+  loadGitattributes,
+  defaultExclusion,
+  filterFiles
+};
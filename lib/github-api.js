@@ -1,30 +1,217 @@
 const axios = require('axios');
 
+const RateLimitTracker = require('./rate-limit-tracker');
+const GitHubCache = require('./github-cache');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Data addressed by a full commit SHA never changes
+const isCommitSha = ref => /^[0-9a-f]{40}$/i.test(ref || '');
+
+// GitHub lists at most this many files of a commit comparison
+const MAX_COMPARE_FILES = 300;
+
 class GitHubAPI {
   constructor(token) {
+    const endpoints = GitHubAPI.endpoints();
     this.token = token;
-    this.baseURL = 'https://api.github.com';
+    this.baseURL = endpoints.apiURL;
     this.headers = {
       'Authorization': `token ${token}`,
       'Accept': 'application/vnd.github.v3+json'
     };
+    this.maxPages = parseInt(process.env.GITHUB_MAX_PAGES, 10) || 30;
+    this.maxRetries = parseInt(process.env.GITHUB_MAX_RETRIES, 10) || 2;
+  }
+
+  // GitHub's URLs, github.com by default. GITHUB_ENTERPRISE_URL points
+  // all of them at a GitHub Enterprise Server host; GITHUB_API_URL and
+  // GITHUB_OAUTH_URL override them one by one.
+  static endpoints() {
+    const trim = url => url.replace(/\/+$/, '');
+    const enterprise = trim(process.env.GITHUB_ENTERPRISE_URL || '');
+
+    return {
+      apiURL: trim(process.env.GITHUB_API_URL || (enterprise ? `${enterprise}/api/v3` : 'https://api.github.com')),
+      webURL: trim(process.env.GITHUB_OAUTH_URL || enterprise || 'https://github.com')
+    };
+  }
+
+  // A page on the GitHub web host (OAuth endpoints, settings pages)
+  static webURL(pagePath = '') {
+    return `${GitHubAPI.endpoints().webURL}${pagePath}`;
+  }
+
+  // Send a request. Waits when the token's rate limit is nearly used up
+  // and retries when GitHub reports it exceeded, as long as the reset is
+  // close. GETs go through the response cache unless cacheable is false;
+  // immutable ones are served from it without a request. Throws axios
+  // errors like axios itself.
+  async request(method, url, { params, data, headers, immutable = false, cacheable = true, responseType, maxContentLength } = {}) {
+    const limits = GitHubAPI.rateLimits;
+    const cache = GitHubAPI.cache;
+    const cacheKey = method === 'get' && cacheable && cache.maxEntries > 0
+      ? cache.key(this.token, url, params, headers && headers.Accept)
+      : null;
+    const cached = cacheKey ? cache.get(cacheKey) : null;
+
+    if (cached && cache.isFresh(cached)) {
+      cache.stats.hits++;
+      return { status: 200, data: cached.data, headers: cached.headers, cached: true };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const allowed = await limits.acquire(this.token);
+      if (!allowed.success) {
+        throw new Error(allowed.error);
+      }
+
+      try {
+        const response = await axios({
+          method,
+          url,
+          params,
+          data,
+          headers: { ...this.headers, ...(cached ? cache.conditionalHeaders(cached) : {}), ...headers },
+          ...(responseType ? { responseType } : {}),
+          ...(maxContentLength ? { maxContentLength } : {}),
+          validateStatus: status => (status >= 200 && status < 300) || (Boolean(cached) && status === 304)
+        });
+        limits.update(this.token, response.headers);
+
+        if (response.status === 304) {
+          cache.stats.revalidated++;
+          return { ...response, status: 200, data: cached.data, headers: { ...response.headers, ...cached.headers }, cached: true };
+        }
+
+        if (cacheKey) {
+          cache.stats.misses++;
+          cache.store(cacheKey, response, { immutable });
+        }
+        return response;
+      } catch (error) {
+        if (!error.response) throw error;
+        limits.update(this.token, error.response.headers);
+
+        const delay = this.rateLimitDelay(error.response);
+        if (delay === null) throw error;
+
+        if (delay > limits.maxWaitMs || attempt >= this.maxRetries) {
+          const { reset } = limits.get(this.token).core || {};
+          error.message = `GitHub API rate limit exceeded${reset ? `; resets at ${reset}` : ''}`;
+          throw error;
+        }
+
+        console.log(`⏳ GitHub rate limit hit, retrying in ${Math.ceil(delay / 1000)}s`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // How long to wait before retrying a rate-limited response, or null when
+  // the response is not a rate-limit error
+  rateLimitDelay(response) {
+    if (![403, 429].includes(response.status)) return null;
+
+    const retryAfter = parseInt(response.headers['retry-after'], 10);
+    if (!isNaN(retryAfter)) return retryAfter * 1000;
+
+    if (response.headers['x-ratelimit-remaining'] === '0') {
+      return Math.max(0, parseInt(response.headers['x-ratelimit-reset'], 10) * 1000 - Date.now());
+    }
+
+    return null;
+  }
+
+  // GET every page of a list endpoint by following the Link headers.
+  // Stops after maxPages; truncated tells whether items were left out.
+  async paginate(url, params = {}) {
+    const items = [];
+    let nextURL = url;
+    let query = { per_page: 100, ...params };
+
+    for (let page = 0; nextURL; page++) {
+      if (page >= this.maxPages) {
+        return { items, truncated: true };
+      }
+
+      const response = await this.request('get', nextURL, { params: query });
+      items.push(...response.data);
+      nextURL = this.nextPageURL(response.headers.link);
+      query = undefined; // the next link carries the query string
+    }
+
+    return { items, truncated: false };
+  }
+
+  // The rel="next" URL of a Link header
+  nextPageURL(link) {
+    const match = (link || '').split(',').map(part => part.match(/<([^>]+)>;\s*rel="next"/)).find(Boolean);
+    return match ? match[1] : null;
+  }
+
+  // Rate-limit state of the token: GitHub's /rate_limit (which does not
+  // count against the limit) plus what was last seen on responses
+  async getRateLimit() {
+    try {
+      const response = await axios.get(`${this.baseURL}/rate_limit`, { headers: this.headers });
+      const { resources } = response.data;
+      const describe = resource => resource && {
+        limit: resource.limit,
+        remaining: resource.remaining,
+        used: resource.used,
+        reset: new Date(resource.reset * 1000).toISOString()
+      };
+
+      return {
+        success: true,
+        rateLimit: {
+          core: describe(resources.core),
+          search: describe(resources.search),
+          graphql: describe(resources.graphql)
+        },
+        lastSeen: GitHubAPI.rateLimits.get(this.token),
+        threshold: GitHubAPI.rateLimits.threshold
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // The user the token belongs to
+  async getAuthenticatedUser() {
+    try {
+      const response = await this.request('get', `${this.baseURL}/user`);
+
+      return {
+        success: true,
+        user: response.data,
+        // Scopes of classic tokens; fine-grained tokens have none
+        scopes: response.headers['x-oauth-scopes'] ?? null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
   }
 
   // Get user repositories
   async getUserRepos() {
     try {
-      const response = await axios.get(`${this.baseURL}/user/repos`, {
-        headers: this.headers,
-        params: {
-          sort: 'updated',
-          direction: 'desc',
-          per_page: 50
-        }
+      const { items, truncated } = await this.paginate(`${this.baseURL}/user/repos`, {
+        sort: 'updated',
+        direction: 'desc'
       });
 
       return {
         success: true,
-        repos: response.data.map(repo => ({
+        truncated,
+        repos: items.map(repo => ({
           id: repo.id,
           name: repo.name,
           full_name: repo.full_name,
@@ -51,18 +238,16 @@ class GitHubAPI {
   // Get pull requests for a repository
   async getPullRequests(owner, repo) {
     try {
-      const response = await axios.get(`${this.baseURL}/repos/${owner}/${repo}/pulls`, {
-        headers: this.headers,
-        params: {
-          state: 'open',
-          sort: 'updated',
-          direction: 'desc'
-        }
+      const { items, truncated } = await this.paginate(`${this.baseURL}/repos/${owner}/${repo}/pulls`, {
+        state: 'open',
+        sort: 'updated',
+        direction: 'desc'
       });
 
       return {
         success: true,
-        pulls: response.data.map(pr => ({
+        truncated,
+        pulls: items.map(pr => ({
           id: pr.id,
           number: pr.number,
           title: pr.title,
@@ -91,14 +276,138 @@ class GitHubAPI {
     }
   }
 
+  // Get a single pull request
+  async getPullRequest(owner, repo, prNumber) {
+    try {
+      const response = await this.request('get', `${this.baseURL}/repos/${owner}/${repo}/pulls/${prNumber}`);
+      const pr = response.data;
+
+      return {
+        success: true,
+        pull: {
+          id: pr.id,
+          number: pr.number,
+          title: pr.title,
+          body: pr.body,
+          state: pr.state,
+          user: pr.user.login,
+          html_url: pr.html_url,
+          created_at: pr.created_at,
+          updated_at: pr.updated_at,
+          head: {
+            ref: pr.head.ref,
+            sha: pr.head.sha
+          },
+          base: {
+            ref: pr.base.ref,
+            sha: pr.base.sha
+          }
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Get repository details, including the caller's permissions
+  async getRepository(owner, repo) {
+    try {
+      const response = await this.request('get', `${this.baseURL}/repos/${owner}/${repo}`);
+
+      return {
+        success: true,
+        repo: {
+          id: response.data.id,
+          full_name: response.data.full_name,
+          default_branch: response.data.default_branch,
+          private: response.data.private,
+          permissions: response.data.permissions || {}
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Resolve a branch, tag or SHA to the full commit SHA
+  async getCommitSha(owner, repo, ref) {
+    try {
+      const response = await this.request('get', `${this.baseURL}/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}`, {
+        headers: { 'Accept': 'application/vnd.github.sha' },
+        cacheable: false
+      });
+
+      return { success: true, sha: String(response.data).trim() };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.status === 404 || error.response?.status === 422 ? `Ref ${ref} not found` : error.message
+      };
+    }
+  }
+
+  // Download the gzipped tarball of the repository at a ref as a Buffer.
+  // It is never cached: archives are large and fetched rarely.
+  async downloadTarball(owner, repo, ref, { maxBytes } = {}) {
+    try {
+      const response = await this.request('get', `${this.baseURL}/repos/${owner}/${repo}/tarball/${encodeURIComponent(ref)}`, {
+        cacheable: false,
+        responseType: 'arraybuffer',
+        maxContentLength: maxBytes
+      });
+
+      return { success: true, data: Buffer.from(response.data) };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.status === 404 ? `Archive of ${owner}/${repo} at ${ref} not found` : error.message
+      };
+    }
+  }
+
+  // Get the text of a file at a ref; content is null when the file does not exist
+  async getFileContent(owner, repo, filePath, ref) {
+    try {
+      const response = await this.request('get', `${this.baseURL}/repos/${owner}/${repo}/contents/${filePath.split('/').map(encodeURIComponent).join('/')}`, {
+        params: ref ? { ref } : {},
+        // The raw media type returns files of any size as is; the JSON
+        // response leaves out the content of files over 1 MB
+        headers: { 'Accept': 'application/vnd.github.raw' },
+        responseType: 'text',
+        immutable: isCommitSha(ref)
+      });
+
+      // Directories are listed as JSON whatever the media type
+      if (/^application\/json/.test(response.headers['content-type'] || '')) {
+        return { success: false, error: `${filePath} is not a file` };
+      }
+
+      return {
+        success: true,
+        content: response.data
+      };
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return { success: true, content: null };
+      }
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Get pull request diff
   async getPullRequestDiff(owner, repo, prNumber) {
     try {
-      const response = await axios.get(`${this.baseURL}/repos/${owner}/${repo}/pulls/${prNumber}`, {
-        headers: {
-          ...this.headers,
-          'Accept': 'application/vnd.github.v3.diff'
-        }
+      const response = await this.request('get', `${this.baseURL}/repos/${owner}/${repo}/pulls/${prNumber}`, {
+        headers: { 'Accept': 'application/vnd.github.v3.diff' }
       });
 
       return {
@@ -116,10 +425,8 @@ class GitHubAPI {
   // Post comment on pull request
   async postPullRequestComment(owner, repo, prNumber, comment) {
     try {
-      const response = await axios.post(`${this.baseURL}/repos/${owner}/${repo}/issues/${prNumber}/comments`, {
-        body: comment
-      }, {
-        headers: this.headers
+      const response = await this.request('post', `${this.baseURL}/repos/${owner}/${repo}/issues/${prNumber}/comments`, {
+        data: { body: comment }
       });
 
       return {
@@ -134,16 +441,49 @@ class GitHubAPI {
     }
   }
 
+  // Submit a pull request review with inline comments
+  // event: COMMENT, REQUEST_CHANGES or APPROVE
+  async createPullRequestReview(owner, repo, prNumber, { body, event = 'COMMENT', comments = [], commitId }) {
+    try {
+      const payload = {
+        body,
+        event,
+        comments: comments.map(comment => ({
+          path: comment.path,
+          line: comment.line,
+          side: 'RIGHT',
+          ...(comment.start_line ? { start_line: comment.start_line, start_side: 'RIGHT' } : {}),
+          body: comment.body
+        }))
+      };
+      if (commitId) {
+        payload.commit_id = commitId;
+      }
+
+      const response = await this.request('post', `${this.baseURL}/repos/${owner}/${repo}/pulls/${prNumber}/reviews`, { data: payload });
+
+      return {
+        success: true,
+        review: response.data
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
   // Get pull request files (for more detailed analysis)
   async getPullRequestFiles(owner, repo, prNumber) {
     try {
-      const response = await axios.get(`${this.baseURL}/repos/${owner}/${repo}/pulls/${prNumber}/files`, {
-        headers: this.headers
-      });
+      // GitHub lists at most 3000 files of a pull request
+      const { items, truncated } = await this.paginate(`${this.baseURL}/repos/${owner}/${repo}/pulls/${prNumber}/files`);
 
       return {
         success: true,
-        files: response.data.map(file => ({
+        truncated,
+        files: items.map(file => ({
           filename: file.filename,
           additions: file.additions,
           deletions: file.deletions,
@@ -160,6 +500,49 @@ class GitHubAPI {
       };
     }
   }
+
+  // Compare two commits; status is "ahead" when head descends from base and
+  // "diverged" or "behind" when history was rewritten (e.g. a force push)
+  async compareCommits(owner, repo, base, head) {
+    try {
+      const response = await this.request('get', `${this.baseURL}/repos/${owner}/${repo}/compare/${base}...${head}`, {
+        immutable: isCommitSha(base) && isCommitSha(head)
+      });
+
+      return {
+        success: true,
+        comparison: {
+          status: response.data.status,
+          aheadBy: response.data.ahead_by,
+          behindBy: response.data.behind_by,
+          commits: (response.data.commits || []).map(commit => ({
+            sha: commit.sha,
+            message: commit.commit.message
+          })),
+          files: (response.data.files || []).map(file => ({
+            filename: file.filename,
+            previous_filename: file.previous_filename,
+            additions: file.additions,
+            deletions: file.deletions,
+            changes: file.changes,
+            status: file.status,
+            patch: file.patch
+          })),
+          // Files past GitHub's limit are left out of the comparison
+          filesTruncated: (response.data.files || []).length >= MAX_COMPARE_FILES
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.status === 404 ? `Commit ${base} or ${head} not found` : error.message
+      };
+    }
+  }
 }
 
+// Shared by all instances, since one is created per request
+GitHubAPI.rateLimits = new RateLimitTracker();
+GitHubAPI.cache = new GitHubCache();
+
 module.exports = GitHubAPI;
\ No newline at end of file
@@ -0,0 +1,170 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const GitHubAPI = require('./github-api');
+
+const base64url = value => Buffer.from(value).toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+// GitHub App authentication: a JWT signed with the app's private key is
+// exchanged for installation access tokens, so the server can act on its
+// own and post reviews as the app's bot account. Installation tokens live
+// for an hour; they are cached and refreshed shortly before they expire.
+class GitHubApp {
+  constructor(options = {}) {
+    this.appId = options.appId || process.env.GITHUB_APP_ID;
+    this.privateKey = options.privateKey || this.loadPrivateKey();
+    this.baseURL = GitHubAPI.endpoints().apiURL;
+    this.refreshMarginMs = (parseFloat(process.env.GITHUB_APP_TOKEN_REFRESH_MINUTES) || 5) * 60 * 1000;
+    this.tokens = new Map(); // installation id -> { token, expiresAt }
+    this.refreshing = new Map(); // installation id -> pending token request
+    this.installations = new Map(); // owner/repo -> installation id
+  }
+
+  // The key from GITHUB_APP_PRIVATE_KEY (PEM, "\n" escapes allowed) or
+  // the file named by GITHUB_APP_PRIVATE_KEY_PATH
+  loadPrivateKey() {
+    if (process.env.GITHUB_APP_PRIVATE_KEY) {
+      return process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+    }
+    if (process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+      try {
+        return fs.readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+      } catch (error) {
+        console.error('⚠️  Failed to read GitHub App private key:', error.message);
+      }
+    }
+    return null;
+  }
+
+  get configured() {
+    return Boolean(this.appId && this.privateKey);
+  }
+
+  // A JWT identifying the app, valid for 9 minutes. It is backdated a
+  // minute to allow for clock drift (GitHub accepts at most 10 minutes).
+  createJWT() {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ iat: now - 60, exp: now + 9 * 60, iss: String(this.appId) }));
+    const signature = base64url(crypto.createSign('RSA-SHA256').update(`${header}.${payload}`).sign(this.privateKey));
+
+    return `${header}.${payload}.${signature}`;
+  }
+
+  appHeaders() {
+    return {
+      'Authorization': `Bearer ${this.createJWT()}`,
+      'Accept': 'application/vnd.github.v3+json'
+    };
+  }
+
+  // The app's own details; its bot account is "<slug>[bot]"
+  async getApp() {
+    if (!this.configured) {
+      return { success: false, error: 'GitHub App is not configured (set GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY)' };
+    }
+
+    try {
+      const response = await axios.get(`${this.baseURL}/app`, { headers: this.appHeaders() });
+      return {
+        success: true,
+        app: {
+          id: response.data.id,
+          slug: response.data.slug,
+          name: response.data.name,
+          botLogin: `${response.data.slug}[bot]`,
+          url: response.data.html_url
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || error.message };
+    }
+  }
+
+  // The installation of the app on a repository
+  async getInstallationId(owner, repo) {
+    const key = `${owner}/${repo}`.toLowerCase();
+    if (this.installations.has(key)) {
+      return { success: true, installationId: this.installations.get(key) };
+    }
+
+    try {
+      const response = await axios.get(`${this.baseURL}/repos/${owner}/${repo}/installation`, { headers: this.appHeaders() });
+      this.installations.set(key, response.data.id);
+      return { success: true, installationId: response.data.id };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.status === 404
+          ? `The GitHub App is not installed on ${owner}/${repo}`
+          : error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  // A valid installation token, from the cache unless it expires soon.
+  // Concurrent callers share one refresh.
+  async getInstallationToken(installationId) {
+    const cached = this.tokens.get(installationId);
+    if (cached && cached.expiresAt - Date.now() > this.refreshMarginMs) {
+      return { success: true, token: cached.token, expiresAt: new Date(cached.expiresAt).toISOString() };
+    }
+
+    if (!this.refreshing.has(installationId)) {
+      this.refreshing.set(installationId, this.createInstallationToken(installationId)
+        .finally(() => this.refreshing.delete(installationId)));
+    }
+    return await this.refreshing.get(installationId);
+  }
+
+  async createInstallationToken(installationId) {
+    try {
+      const response = await axios.post(`${this.baseURL}/app/installations/${installationId}/access_tokens`, {}, {
+        headers: this.appHeaders()
+      });
+      const expiresAt = new Date(response.data.expires_at).getTime();
+
+      this.tokens.set(installationId, { token: response.data.token, expiresAt });
+      console.log(`🔑 New GitHub App installation token for installation ${installationId}`);
+      return { success: true, token: response.data.token, expiresAt: response.data.expires_at };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || error.message };
+    }
+  }
+
+  // An installation token for a repository. Webhook deliveries from the
+  // app carry the installation id, which saves a lookup.
+  async getTokenForRepo(owner, repo, installationId) {
+    if (!this.configured) {
+      return { success: false, error: 'GitHub App is not configured' };
+    }
+
+    if (!installationId) {
+      const installation = await this.getInstallationId(owner, repo);
+      if (!installation.success) {
+        return installation;
+      }
+      installationId = installation.installationId;
+    }
+
+    return { ...(await this.getInstallationToken(installationId)), installationId };
+  }
+
+  // Cached token state for the status route (no tokens)
+  describe() {
+    return {
+      configured: this.configured,
+      appId: this.appId || null,
+      installations: [...this.tokens].map(([installationId, { expiresAt }]) => ({
+        installationId,
+        expiresAt: new Date(expiresAt).toISOString()
+      }))
+    };
+  }
+}
+
+module.exports = GitHubApp;
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+// Approximate memory taken by a response body
+const sizeOf = data => Buffer.byteLength(typeof data === 'string' ? data : JSON.stringify(data) || '');
+
+// Cache of GitHub GET responses, keyed per token and URL. Responses with an
+// ETag or Last-Modified are revalidated with a conditional request (a 304
+// does not count against the rate limit); immutable ones, such as data at
+// a fixed commit SHA, are served without asking GitHub until their TTL
+// runs out. The least recently used entries are evicted first, when
+// either the entry count or the total size of the bodies is exceeded.
+class GitHubCache {
+  constructor(options = {}) {
+    const enabled = process.env.GITHUB_CACHE !== 'false';
+    this.maxEntries = options.maxEntries ?? (enabled ? parseInt(process.env.GITHUB_CACHE_MAX_ENTRIES, 10) || 500 : 0);
+    this.maxBytes = options.maxBytes ?? (parseFloat(process.env.GITHUB_CACHE_MAX_MB) || 50) * 1024 * 1024;
+    this.immutableTtlMs = options.immutableTtlMs ?? (parseInt(process.env.GITHUB_CACHE_IMMUTABLE_TTL_SECONDS, 10) || 3600) * 1000;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.stats = { hits: 0, revalidated: 0, misses: 0, evictions: 0 };
+  }
+
+  key(token, url, params = {}, accept = '') {
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 16);
+    const query = Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&');
+    return `${tokenHash} ${accept} ${url}${query ? `?${query}` : ''}`;
+  }
+
+  // The entry for a key, refreshed as most recently used
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  // Whether an entry can be served without a request
+  isFresh(entry) {
+    return Boolean(entry.expiresAt) && entry.expiresAt > Date.now();
+  }
+
+  // Request headers that make a GET conditional on the cached entry
+  conditionalHeaders(entry) {
+    const headers = {};
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+
+  // Store a 200 response when it can be revalidated or is immutable
+  store(key, response, { immutable = false } = {}) {
+    if (this.maxEntries === 0) return;
+
+    const etag = response.headers.etag;
+    const lastModified = response.headers['last-modified'];
+    if (!etag && !lastModified && !immutable) return;
+
+    const size = sizeOf(response.data);
+    this.delete(key);
+    if (size > this.maxBytes) return;
+
+    this.entries.set(key, {
+      data: response.data,
+      headers: { link: response.headers.link, 'content-type': response.headers['content-type'] },
+      etag,
+      lastModified,
+      expiresAt: immutable ? Date.now() + this.immutableTtlMs : null,
+      size
+    });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  // Hit/miss counters for the diagnostics route
+  describe() {
+    const { hits, revalidated, misses, evictions } = this.stats;
+    const lookups = hits + revalidated + misses;
+
+    return {
+      enabled: this.maxEntries > 0,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      megabytes: Math.round((this.bytes / 1024 / 1024) * 100) / 100,
+      maxMegabytes: this.maxBytes / 1024 / 1024,
+      immutableTtlSeconds: this.immutableTtlMs / 1000,
+      hits,
+      revalidated,
+      misses,
+      evictions,
+      hitRate: lookups > 0 ? Math.round(((hits + revalidated) / lookups) * 1000) / 1000 : null
+    };
+  }
+}
+
+module.exports = GitHubCache;
@@ -1,26 +1,111 @@
 const axios = require('axios');
+const crypto = require('crypto');
+
+const GitHubAPI = require('./github-api');
+
+// Scopes requested for a full login and for read-only mode. Read-only
+// sessions can analyze pull requests but never post to GitHub.
+const FULL_SCOPE = 'repo,user:email';
+const READ_ONLY_SCOPE = 'read:user,user:email';
+
+const base64url = buffer => buffer.toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
 
 class GitHubOAuth {
   constructor() {
     this.clientId = process.env.GITHUB_CLIENT_ID;
     this.clientSecret = process.env.GITHUB_CLIENT_SECRET;
     this.redirectUri = process.env.REDIRECT_URI;
+    this.readOnly = process.env.GITHUB_OAUTH_MODE === 'readonly';
+    this.scope = process.env.GITHUB_OAUTH_SCOPE;
+    this.readOnlyScope = process.env.GITHUB_OAUTH_READONLY_SCOPE;
+    this.pkce = process.env.GITHUB_OAUTH_PKCE !== 'false';
+    this.stateTtlMs = 10 * 60 * 1000;
+    // /auth/login needs no session, so started logins are capped
+    this.maxPendingLogins = 1000;
+    this.pendingLogins = new Map(); // state -> { codeVerifier, readOnly, expiresAt }
+  }
+
+  // Scope for a login. GITHUB_OAUTH_SCOPE only overrides full logins, so
+  // it cannot widen read-only ones; those use GITHUB_OAUTH_READONLY_SCOPE.
+  scopeFor(readOnly) {
+    return readOnly
+      ? this.readOnlyScope || READ_ONLY_SCOPE
+      : this.scope || FULL_SCOPE;
+  }
+
+  // Start a login: a random state (to be stored in the pre-auth cookie)
+  // and, with PKCE, a code verifier kept server-side until the callback.
+  // Users can ask for a read-only login; they cannot upgrade a read-only
+  // server to a full one.
+  createAuthRequest({ readOnly = false } = {}) {
+    this.prunePendingLogins();
+
+    const state = crypto.randomBytes(32).toString('hex');
+    const login = {
+      readOnly: this.readOnly || readOnly,
+      codeVerifier: this.pkce ? base64url(crypto.randomBytes(32)) : null,
+      expiresAt: Date.now() + this.stateTtlMs
+    };
+    this.pendingLogins.set(state, login);
+
+    // Drop the oldest logins beyond the cap (Maps keep insertion order)
+    for (const oldest of this.pendingLogins.keys()) {
+      if (this.pendingLogins.size <= this.maxPendingLogins) break;
+      this.pendingLogins.delete(oldest);
+    }
+
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopeFor(login.readOnly),
+      state
+    });
+    if (login.codeVerifier) {
+      params.set('code_challenge', base64url(crypto.createHash('sha256').update(login.codeVerifier).digest()));
+      params.set('code_challenge_method', 'S256');
+    }
+
+    return { url: `${GitHubAPI.webURL('/login/oauth/authorize')}?${params}`, state };
+  }
+
+  // Check the state GitHub sent back against the pre-auth cookie. Each
+  // state can be used once. Returns { success, codeVerifier, readOnly }.
+  verifyState(state, cookieState) {
+    if (!state || !cookieState || state.length !== cookieState.length ||
+        !crypto.timingSafeEqual(Buffer.from(state), Buffer.from(cookieState))) {
+      return { success: false, error: 'OAuth state does not match this browser; please sign in again' };
+    }
+
+    const login = this.pendingLogins.get(state);
+    this.pendingLogins.delete(state);
+
+    if (!login || login.expiresAt < Date.now()) {
+      return { success: false, error: 'OAuth login expired; please sign in again' };
+    }
+
+    return { success: true, codeVerifier: login.codeVerifier, readOnly: login.readOnly };
   }
 
-  // Generate GitHub OAuth URL
-  getAuthUrl() {
-    const scope = 'repo,user:email';
-    return `https://github.com/login/oauth/authorize?client_id=${this.clientId}&redirect_uri=${this.redirectUri}&scope=${scope}`;
+  prunePendingLogins() {
+    for (const [state, login] of this.pendingLogins) {
+      if (login.expiresAt < Date.now()) {
+        this.pendingLogins.delete(state);
+      }
+    }
   }
 
   // Exchange code for access token
-  async exchangeCodeForToken(code) {
+  async exchangeCodeForToken(code, { codeVerifier } = {}) {
     try {
-      const response = await axios.post('https://github.com/login/oauth/access_token', {
+      const response = await axios.post(GitHubAPI.webURL('/login/oauth/access_token'), {
         client_id: this.clientId,
         client_secret: this.clientSecret,
         code: code,
-        redirect_uri: this.redirectUri
+        redirect_uri: this.redirectUri,
+        ...(codeVerifier ? { code_verifier: codeVerifier } : {})
       }, {
         headers: {
           'Accept': 'application/json'
@@ -48,27 +133,102 @@ class GitHubOAuth {
     }
   }
 
-  // Get user info with token
-  async getUserInfo(token) {
+  // Start a device flow login (used by the CLI): GitHub returns a code
+  // the user enters at verification_uri in any browser. Needs "Enable
+  // Device Flow" in the OAuth app settings; no client secret is involved.
+  async requestDeviceCode({ readOnly = false } = {}) {
+    if (!this.clientId) {
+      return { success: false, error: 'GITHUB_CLIENT_ID is not configured' };
+    }
+
     try {
-      const response = await axios.get('https://api.github.com/user', {
-        headers: {
-          'Authorization': `token ${token}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
+      const response = await axios.post(GitHubAPI.webURL('/login/device/code'), {
+        client_id: this.clientId,
+        scope: this.scopeFor(this.readOnly || readOnly)
+      }, {
+        headers: { 'Accept': 'application/json' }
       });
 
+      if (response.data.error) {
+        return { success: false, error: response.data.error_description || response.data.error };
+      }
+
       return {
         success: true,
-        user: response.data
+        deviceCode: response.data.device_code,
+        userCode: response.data.user_code,
+        verificationUri: response.data.verification_uri,
+        interval: response.data.interval || 5,
+        expiresIn: response.data.expires_in || 900
       };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Poll until the user has entered the device code, at the interval
+  // GitHub asks for. Returns { success, token, scope } like the code
+  // exchange, or an error once the code expires or the user declines.
+  async pollDeviceToken({ deviceCode, interval = 5, expiresIn = 900 }) {
+    const deadline = Date.now() + expiresIn * 1000;
+    let waitMs = interval * 1000;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+
+      let data;
+      try {
+        const response = await axios.post(GitHubAPI.webURL('/login/oauth/access_token'), {
+          client_id: this.clientId,
+          device_code: deviceCode,
+          grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+        }, {
+          headers: { 'Accept': 'application/json' }
+        });
+        data = response.data;
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+      if (data.access_token) {
+        return { success: true, token: data.access_token, scope: data.scope, token_type: data.token_type };
+      }
+
+      if (data.error === 'slow_down') {
+        waitMs = (data.interval || interval + 5) * 1000;
+      } else if (data.error !== 'authorization_pending') {
+        return { success: false, error: data.error_description || data.error || 'Failed to get access token' };
+      }
+    }
+
+    return { success: false, error: 'The device code expired; please log in again' };
+  }
+
+  // Revoke a token issued to this OAuth app so it stops working at GitHub
+  async revokeToken(token) {
+    try {
+      await axios.delete(`${GitHubAPI.endpoints().apiURL}/applications/${this.clientId}/token`, {
+        auth: { username: this.clientId, password: this.clientSecret },
+        headers: { 'Accept': 'application/vnd.github.v3+json' },
+        data: { access_token: token }
+      });
+
+      return { success: true };
     } catch (error) {
       return {
         success: false,
-        error: error.message
+        error: error.response?.status === 404 ? 'Token was not issued by this OAuth app or is already revoked' : error.message
       };
     }
   }
+
+  // Get user info with token
+  async getUserInfo(token) {
+    return await new GitHubAPI(token).getAuthenticatedUser();
+  }
 }
 
-module.exports = GitHubOAuth;
\ No newline at end of file
+GitHubOAuth.FULL_SCOPE = FULL_SCOPE;
+GitHubOAuth.READ_ONLY_SCOPE = READ_ONLY_SCOPE;
+
+module.exports = GitHubOAuth;
@@ -0,0 +1,172 @@
+const EventEmitter = require('events');
+
+const FINISHED_STATES = ['done', 'failed', 'cancelled'];
+
+// In-memory queue that runs analysis jobs with a concurrency limit so the
+// LLM backend is never asked for more generations than it can handle.
+// Emits 'update' with the job whenever its state or progress changes, and
+// 'token' with the job and text whenever the task streams model output.
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // every open event stream adds listeners
+    this.concurrency = options.concurrency || parseInt(process.env.ANALYSIS_CONCURRENCY, 10) || 1;
+    this.retentionMs = options.retentionMs || 60 * 60 * 1000; // keep finished jobs for 1 hour
+    this.jobs = new Map();
+    this.waiting = [];
+    this.running = 0;
+  }
+
+  // Queue a task. The task receives { signal, progress, token } and resolves
+  // to a { success, ... } result like the rest of the library.
+  add(type, task, meta = {}) {
+    this.prune();
+
+    const job = {
+      id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      status: 'queued',
+      meta,
+      progress: { stage: 'queued' },
+      result: null,
+      error: null,
+      output: '',
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      task,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.waiting.push(job);
+    this.emit('update', job);
+    this.next();
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  list(filter = () => true) {
+    return [...this.jobs.values()].filter(filter);
+  }
+
+  // Cancel a queued or running job
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED_STATES.includes(job.status)) {
+      return false;
+    }
+
+    this.waiting = this.waiting.filter(waitingJob => waitingJob !== job);
+    job.controller.abort();
+    this.finish(job, 'cancelled', null, 'Job was cancelled');
+    return true;
+  }
+
+  // Resolve once the job has finished
+  wait(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED_STATES.includes(job.status)) {
+      return Promise.resolve(job);
+    }
+
+    return new Promise(resolve => {
+      const onUpdate = updated => {
+        if (updated.id === id && FINISHED_STATES.includes(updated.status)) {
+          this.off('update', onUpdate);
+          resolve(updated);
+        }
+      };
+      this.on('update', onUpdate);
+    });
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.waiting.length > 0) {
+      this.run(this.waiting.shift());
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date();
+    job.progress = { stage: 'starting' };
+    this.emit('update', job);
+
+    const progress = update => {
+      if (job.status !== 'running') return;
+      job.progress = { ...job.progress, ...update };
+      this.emit('update', job);
+    };
+
+    // Streamed model output is buffered so late subscribers can catch up
+    const token = text => {
+      if (job.status !== 'running') return;
+      job.output += text;
+      this.emit('token', job, text);
+    };
+
+    try {
+      const result = await job.task({ signal: job.controller.signal, progress, token });
+
+      if (job.status === 'running') {
+        if (result && result.success) {
+          this.finish(job, 'done', result, null);
+        } else {
+          this.finish(job, 'failed', result, (result && result.error) || 'Job failed');
+        }
+      }
+    } catch (error) {
+      if (job.status === 'running') {
+        this.finish(job, 'failed', null, error.message);
+      }
+    } finally {
+      this.running--;
+      this.next();
+    }
+  }
+
+  finish(job, status, result, error) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date();
+    job.progress = { ...job.progress, stage: status };
+    this.emit('update', job);
+  }
+
+  // Drop finished jobs older than the retention period
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this.jobs) {
+      if (FINISHED_STATES.includes(job.status) && job.finishedAt.getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  // Public view of a job (no task, controller or result payload)
+  describe(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      meta: job.meta,
+      progress: job.progress,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      position: job.status === 'queued' ? this.waiting.indexOf(job) + 1 : undefined
+    };
+  }
+}
+
+JobQueue.FINISHED_STATES = FINISHED_STATES;
+
+module.exports = JobQueue;
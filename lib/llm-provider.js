@@ -0,0 +1,601 @@
+const { chunkFiles } = require('./diff-chunker');
+const { languageRules } = require('./review-config');
+const {
+  SEVERITIES,
+  CATEGORIES,
+  parseJson,
+  validateReview,
+  renderMarkdown,
+  findingsToComments
+} = require('./review-schema');
+
+// Version of the review prompts, stored with every review so results from
+// different prompt revisions can be told apart. Bump it when prompts change.
+const PROMPT_VERSION = 'structured-v4';
+
+// Tool diagnostics listed per prompt; the rest are only counted
+const MAX_PROMPT_DIAGNOSTICS = 30;
+
+// Example output shown to the model for structured reviews
+const STRUCTURED_EXAMPLE = `{
+  "summary": "One paragraph summary of the changes",
+  "positives": ["What is done well"],
+  "findings": [
+    {
+      "file": "src/example.js",
+      "line_start": 10,
+      "line_end": 12,
+      "severity": "major",
+      "category": "bug",
+      "title": "Short title of the problem",
+      "message": "What is wrong and why it matters",
+      "suggestion": "Concrete suggested fix"
+    }
+  ],
+  "assessment": "Overall evaluation and merge recommendation"
+}`;
+
+// Base class of the LLM backends. It holds the review pipeline (prompts,
+// chunking, structured output and merging); providers implement the
+// transport: checkStatus, listModels, generate and generateStream.
+class LLMProvider {
+  constructor(options = {}) {
+    this.name = options.name;
+    this.label = options.label || options.name;
+    this.baseURL = options.baseURL;
+    this.model = options.model;
+    this.promptVersion = PROMPT_VERSION;
+    this.chunkTokenBudget = parseInt(process.env.REVIEW_CHUNK_TOKENS, 10) || 3000;
+    this.maxChunks = parseInt(process.env.REVIEW_MAX_CHUNKS, 10) || 12;
+    this.jsonRetries = parseInt(process.env.REVIEW_JSON_RETRIES, 10);
+    if (isNaN(this.jsonRetries)) this.jsonRetries = 2;
+  }
+
+  // Whether the backend is reachable and the model is available.
+  // Resolves to { running, modelAvailable, availableModels, error? }
+  async checkStatus() {
+    return { running: false, modelAvailable: false, error: `${this.label} does not implement checkStatus` };
+  }
+
+  // Models the backend can serve
+  async listModels() {
+    const status = await this.checkStatus();
+    return status.running
+      ? { success: true, models: status.availableModels || [] }
+      : { success: false, error: status.error || `${this.label} is not running` };
+  }
+
+  // Whether the backend serves a model by exactly this name. Resolves to
+  // { success, available }. Model names from requests and repository
+  // configs reach the backend, so nothing looser than the list is accepted.
+  async hasModel(model) {
+    const result = await this.listModels();
+    if (!result.success) {
+      return result;
+    }
+    return { success: true, available: result.models.some(listed => this.sameModel(listed, model)) };
+  }
+
+  sameModel(listed, model) {
+    return listed === model;
+  }
+
+  // Send a prompt and resolve to { success, review, model, method? }.
+  // options.format: 'json' asks for valid JSON output
+  // options.signal: AbortSignal that cancels the generation
+  // options.onToken: streams the response through generateStream when given
+  async generate(prompt, options = {}) {
+    return { success: false, error: `${this.label} does not implement generate` };
+  }
+
+  // Stream a response to options.onToken. Providers without streaming
+  // support deliver the whole response as one token.
+  async generateStream(prompt, options = {}) {
+    const result = await this.generate(prompt, { ...options, onToken: undefined });
+    if (result.success) {
+      options.onToken(result.review);
+    }
+    return result;
+  }
+
+  // Explain a failed status check; null when the provider is ready
+  describeStatus(status) {
+    if (!status.running) {
+      return {
+        error: `${this.label} is not reachable at ${this.baseURL}.`,
+        suggestion: status.error ? `Check that the server is running (${status.error})` : 'Check that the server is running'
+      };
+    }
+
+    if (!status.modelAvailable) {
+      return {
+        error: `Model ${this.model} is not available.`,
+        suggestion: `Load ${this.model} on the server or choose one of the available models`,
+        availableModels: status.availableModels
+      };
+    }
+
+    return null;
+  }
+
+  // Public description of the provider for status routes
+  describe() {
+    return {
+      name: this.name,
+      label: this.label,
+      baseURL: this.baseURL,
+      model: this.model
+    };
+  }
+
+  // Generate a free-form markdown review
+  async generateReview(diffText, prContext = {}) {
+    const prompt = this.buildReviewPrompt(diffText, prContext);
+    return await this.generate(prompt);
+  }
+
+  // Generate a structured JSON review, repairing or re-prompting the model
+  // until its output matches the review schema
+  async generateStructuredReview(diffText, prContext = {}, options = {}) {
+    const generateOptions = { format: 'json', signal: options.signal, onToken: options.onToken };
+    let result = await this.generate(this.buildStructuredReviewPrompt(diffText, prContext), generateOptions);
+    let repaired = false;
+
+    for (let attempt = 0; ; attempt++) {
+      if (!result.success) {
+        return result;
+      }
+
+      const parsed = parseJson(result.review);
+      const validation = parsed.success
+        ? validateReview(parsed.data)
+        : { valid: false, errors: [parsed.error] };
+
+      if (validation.valid) {
+        return {
+          success: true,
+          review: validation.review,
+          model: this.model,
+          method: result.method,
+          repaired: repaired || parsed.repaired,
+          attempts: attempt + 1
+        };
+      }
+
+      if (attempt >= this.jsonRetries) {
+        return {
+          success: false,
+          error: `Model returned an invalid review after ${attempt + 1} attempts: ${validation.errors.slice(0, 3).join('; ')}`
+        };
+      }
+
+      repaired = true;
+      result = await this.generate(this.buildRepairPrompt(result.review, validation.errors), generateOptions);
+    }
+  }
+
+  // Review a PR file by file: split the patches into chunks that fit the
+  // token budget, review each chunk, then merge the partial reviews.
+  // options.onProgress is called as chunks complete, options.onToken streams
+  // the model output and options.signal cancels.
+  async generateChunkedReview(files, prContext = {}, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const { chunks, coverage } = chunkFiles(files, {
+      tokenBudget: options.tokenBudget || this.chunkTokenBudget,
+      maxChunks: options.maxChunks || this.maxChunks,
+      lineNumbers: true
+    });
+
+    if (chunks.length === 0) {
+      return {
+        success: false,
+        error: 'No reviewable changes found in this pull request',
+        coverage
+      };
+    }
+
+    const partialReviews = [];
+    let method;
+    let repaired = false;
+
+    for (let i = 0; i < chunks.length; i++) {
+      onProgress({ stage: 'reviewing', completed: i, total: chunks.length, files: chunks[i].files });
+
+      const result = await this.generateStructuredReview(chunks[i].diff, {
+        ...prContext,
+        part: i + 1,
+        totalParts: chunks.length,
+        files: chunks[i].files
+      }, { signal: options.signal, onToken: options.onToken });
+
+      if (!result.success) {
+        return {
+          success: false,
+          error: `Review of chunk ${i + 1}/${chunks.length} failed: ${result.error}`,
+          coverage
+        };
+      }
+
+      method = result.method || method;
+      repaired = repaired || result.repaired;
+      partialReviews.push(result.review);
+    }
+
+    if (partialReviews.length > 1) {
+      onProgress({ stage: 'merging', completed: chunks.length, total: chunks.length });
+    }
+
+    const structured = partialReviews.length > 1
+      ? await this.mergeStructuredReviews(partialReviews, prContext, options)
+      : partialReviews[0];
+
+    return {
+      success: true,
+      review: renderMarkdown(structured),
+      structured,
+      comments: findingsToComments(structured.findings),
+      model: this.model,
+      method,
+      repaired,
+      chunks: chunks.length,
+      coverage
+    };
+  }
+
+  // Ask the model whether earlier findings are resolved by new changes.
+  // files are the changed files (patches since the last review). Resolves
+  // to { success, results: [{ index, status: 'resolved'|'still_applies', reason }] }
+  async verifyFindings(findings, files, options = {}) {
+    const { chunks } = chunkFiles(files, {
+      tokenBudget: options.tokenBudget || this.chunkTokenBudget,
+      maxChunks: 1,
+      lineNumbers: true
+    });
+
+    if (chunks.length === 0) {
+      return { success: false, error: 'No changes to compare the findings with' };
+    }
+
+    const result = await this.generate(this.buildVerifyFindingsPrompt(findings, chunks[0].diff), {
+      format: 'json',
+      signal: options.signal,
+      onToken: options.onToken
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    const parsed = parseJson(result.review);
+    const results = parsed.success && Array.isArray(parsed.data.results) ? parsed.data.results : null;
+    if (!results) {
+      return { success: false, error: parsed.error || 'Response has no "results" array' };
+    }
+
+    return {
+      success: true,
+      results: results
+        .filter(item => item && Number.isInteger(item.index) && ['resolved', 'still_applies'].includes(item.status))
+        .map(item => ({ index: item.index, status: item.status, reason: typeof item.reason === 'string' ? item.reason : '' }))
+    };
+  }
+
+  // Combine partial reviews: findings are concatenated (duplicates dropped)
+  // and a merge pass writes one coherent summary and assessment
+  async mergeStructuredReviews(partialReviews, prContext, options = {}) {
+    const seen = new Set();
+    const findings = [];
+
+    for (const review of partialReviews) {
+      for (const finding of review.findings) {
+        const key = `${finding.file}:${finding.line_start}:${finding.title.toLowerCase()}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          findings.push(finding);
+        }
+      }
+    }
+
+    const fallback = {
+      summary: partialReviews.map(review => review.summary).join(' '),
+      positives: partialReviews.flatMap(review => review.positives),
+      findings,
+      assessment: partialReviews.map(review => review.assessment).join(' ')
+    };
+
+    const result = await this.generate(this.buildMergePrompt(partialReviews, prContext), {
+      format: 'json',
+      signal: options.signal,
+      onToken: options.onToken
+    });
+    if (!result.success) {
+      return fallback;
+    }
+
+    const parsed = parseJson(result.review);
+    const merged = parsed.success ? parsed.data : {};
+    if (typeof merged.summary !== 'string' || typeof merged.assessment !== 'string') {
+      return fallback;
+    }
+
+    return {
+      summary: merged.summary,
+      positives: Array.isArray(merged.positives) ? merged.positives.filter(item => typeof item === 'string') : fallback.positives,
+      findings,
+      assessment: merged.assessment
+    };
+  }
+
+  // Build comprehensive review prompt
+  buildReviewPrompt(diffText, prContext) {
+    return `You are a senior software engineer conducting a code review. Analyze this GitHub Pull Request and provide a comprehensive review.
+
+${this.buildContextSection(prContext)}
+**Code Changes:**
+\`\`\`diff
+${diffText}
+\`\`\`
+
+**Review Guidelines:**
+1. Identify potential bugs, security issues, or performance problems
+2. Check for code quality and best practices
+3. Look for proper error handling and edge cases
+4. Evaluate code readability and maintainability
+5. Suggest improvements or optimizations
+
+**Please provide your review in the following format:**
+
+## 🔍 Code Review Summary
+
+### ✅ Positive Aspects
+- [List what's done well]
+
+### ⚠️ Issues Found
+- [List any problems, bugs, or concerns]
+
+### 💡 Suggestions
+- [List improvements and recommendations]
+
+### 🎯 Overall Assessment
+[Brief overall evaluation and recommendation]
+
+Keep your review constructive, specific, and actionable. Focus on the most important issues first.`;
+  }
+
+  // Build the prompt for a structured JSON review
+  buildStructuredReviewPrompt(diffText, prContext) {
+    return `You are a senior software engineer conducting a code review. Analyze this GitHub Pull Request and report your findings as JSON.
+
+${this.buildContextSection(prContext)}
+**Code Changes:**
+Each diff line is prefixed with its line number in the new version of the file (removed lines have no number).
+\`\`\`diff
+${diffText}
+\`\`\`
+
+**Review Guidelines:**
+1. Identify potential bugs, security issues, or performance problems
+2. Check for code quality and best practices
+3. Look for proper error handling and edge cases
+4. Evaluate code readability and maintainability
+5. Suggest a concrete fix for every finding
+
+**Respond with a single JSON object and nothing else, in exactly this shape:**
+${STRUCTURED_EXAMPLE}
+
+**Rules:**
+- "severity" must be one of: ${SEVERITIES.join(', ')}
+- "category" must be one of: ${CATEGORIES.join(', ')}
+- "line_start" and "line_end" are the line numbers shown in the diff
+- Only report real problems in the changed code; use an empty "findings" array if there are none`;
+  }
+
+  // Ask the model to fix a response that did not match the review schema
+  buildRepairPrompt(previousOutput, errors) {
+    return `Your previous code review response was not valid. Fix it so it matches the required JSON shape exactly.
+
+**Problems found:**
+${errors.map(error => `- ${error}`).join('\n')}
+
+**Required shape:**
+${STRUCTURED_EXAMPLE}
+
+- "severity" must be one of: ${SEVERITIES.join(', ')}
+- "category" must be one of: ${CATEGORIES.join(', ')}
+
+**Previous response:**
+${previousOutput}
+
+Respond with the corrected JSON object only.`;
+  }
+
+  // Shared PR context header for review prompts
+  buildContextSection(prContext) {
+    const { title = '', description = '', author = '', part, totalParts, files = [], sinceSha, reviewConfig, toolFindings = [], definitions = [], relatedCode = [] } = prContext;
+    const partNote = totalParts > 1
+      ? `\n**Note:** This is part ${part} of ${totalParts} of the changes (files: ${files.join(', ')}). Review only the changes shown here.\n`
+      : '';
+    const sinceNote = sinceSha
+      ? `\n**Note:** Only the commits pushed since the last review (at ${sinceSha.slice(0, 7)}) are shown. The rest of the pull request was already reviewed.\n`
+      : '';
+
+    return `**Pull Request Context:**
+- Title: ${title}
+- Author: ${author}
+- Description: ${description}
+${partNote}${sinceNote}${reviewConfig ? this.buildConfigSection(reviewConfig, files) : ''}${this.buildToolFindingsSection(toolFindings, files)}${this.buildDefinitionsSection(definitions, files)}${this.buildRelatedCodeSection(relatedCode, files)}`;
+  }
+
+  // Code elsewhere in the repository similar to the changes, so the model
+  // can spot duplicated logic and follow existing conventions
+  buildRelatedCodeSection(snippets, files) {
+    const relevant = files.length > 0 ? snippets.filter(snippet => files.includes(snippet.usedIn)) : snippets;
+    if (relevant.length === 0) return '';
+
+    const blocks = relevant.map(snippet => `${snippet.file}:${snippet.start}-${snippet.end}:\n\`\`\`\n${snippet.text}\n\`\`\``);
+
+    return `\n**Related Code in the Repository** (similar existing code for reference; point out duplicated logic or departures from these conventions, but do not review it):\n${blocks.join('\n')}\n`;
+  }
+
+  // Definitions of symbols the changed lines of the files under review
+  // use, from outside the diff
+  buildDefinitionsSection(definitions, files) {
+    const relevant = files.length > 0 ? definitions.filter(definition => files.includes(definition.usedIn)) : definitions;
+    if (relevant.length === 0) return '';
+
+    const blocks = relevant.map(definition => `\`${definition.symbol}\` in ${definition.source}:${definition.start}-${definition.end}` +
+      `${definition.removed ? ' (removed by this pull request)' : ''}:\n\`\`\`\n${definition.text}\n\`\`\``);
+
+    return `\n**Referenced Definitions** (code outside the diff that the changed lines use; for reference only, do not review it):\n${blocks.join('\n')}\n`;
+  }
+
+  // Static analysis diagnostics on the changed lines of the files under
+  // review, given to the model as evidence
+  buildToolFindingsSection(toolFindings, files) {
+    const relevant = files.length > 0 ? toolFindings.filter(finding => files.includes(finding.file)) : toolFindings;
+    if (relevant.length === 0) return '';
+
+    const lines = relevant.slice(0, MAX_PROMPT_DIAGNOSTICS)
+      .map(finding => `- ${finding.file}:${finding.line_start} [${finding.tool}/${finding.rule}] ${finding.message}`);
+    if (relevant.length > MAX_PROMPT_DIAGNOSTICS) {
+      lines.push(`- ... and ${relevant.length - MAX_PROMPT_DIAGNOSTICS} more`);
+    }
+
+    return `\n**Static Analysis Results** (verified by tools on the changed lines; they are reported separately, so do not repeat them as findings, but use them as evidence when judging the code around them):\n${lines.join('\n')}\n`;
+  }
+
+  // Repository rules from .ai-reviewer.yml for the files under review
+  buildConfigSection(reviewConfig, files) {
+    const lines = [];
+
+    if (reviewConfig.focus.length > 0) {
+      lines.push(`- Focus on these categories: ${reviewConfig.focus.join(', ')}`);
+    }
+    if (reviewConfig.maxFindings !== null) {
+      lines.push(`- Report at most ${reviewConfig.maxFindings} findings, the most important first`);
+    }
+    for (const rule of languageRules(reviewConfig, files, filename => this.detectLanguage(filename))) {
+      lines.push(`- ${rule}`);
+    }
+    if (reviewConfig.instructions) {
+      lines.push(`- ${reviewConfig.instructions.replace(/\n/g, '\n  ')}`);
+    }
+
+    return lines.length > 0
+      ? `\n**Repository Review Rules** (follow these):\n${lines.join('\n')}\n`
+      : '';
+  }
+
+  // Build the prompt that checks earlier findings against new changes
+  buildVerifyFindingsPrompt(findings, diffText) {
+    const list = findings
+      .map((finding, index) => `[${index}] ${finding.file}:${finding.line_start}-${finding.line_end} [${finding.severity}] ${finding.title}: ${finding.message}`)
+      .join('\n');
+
+    return `You are a senior software engineer. In an earlier review of a GitHub Pull Request you reported the findings below. The author has since pushed new commits. Decide for each finding whether the new changes resolve it.
+
+**Earlier findings** (line numbers refer to the previously reviewed version):
+${list}
+
+**Changes since the earlier review:**
+Each diff line is prefixed with its line number in the new version of the file (removed lines have no number).
+\`\`\`diff
+${diffText}
+\`\`\`
+
+**Respond with a single JSON object and nothing else, in exactly this shape:**
+{
+  "results": [
+    { "index": 0, "status": "resolved", "reason": "How the change fixes it, or why it still applies" }
+  ]
+}
+
+- Include every finding index exactly once
+- "status" must be "resolved" or "still_applies"
+- Only answer "resolved" when the changes clearly fix the problem`;
+  }
+
+  // Build the prompt that combines partial chunk reviews into one summary
+  buildMergePrompt(partialReviews, prContext) {
+    const { title = '', author = '' } = prContext;
+    const sections = partialReviews
+      .map((review, index) => `### Part ${index + 1}
+Summary: ${review.summary}
+Positives: ${review.positives.join('; ') || 'none'}
+Findings: ${review.findings.map(finding => `[${finding.severity}] ${finding.title} (${finding.file})`).join('; ') || 'none'}
+Assessment: ${review.assessment}`)
+      .join('\n\n');
+
+    return `You are a senior software engineer. The GitHub Pull Request "${title}" by ${author} was too large to review at once, so it was reviewed in ${partialReviews.length} parts. Combine the partial reviews below into one coherent summary.
+
+${sections}
+
+**Respond with a single JSON object and nothing else, in exactly this shape:**
+{
+  "summary": "One paragraph describing the pull request as a whole",
+  "positives": ["What is done well across all parts"],
+  "assessment": "Overall evaluation and merge recommendation, weighing the most severe findings"
+}
+
+Do not invent issues that are not in the partial reviews.`;
+  }
+
+  // Analyze specific code patterns
+  async analyzeCodePatterns(files) {
+    try {
+      const patterns = files.map(file => ({
+        filename: file.filename,
+        language: this.detectLanguage(file.filename),
+        changes: file.changes,
+        additions: file.additions,
+        deletions: file.deletions
+      }));
+
+      const prompt = `Analyze these code changes for common patterns and potential issues:
+
+${JSON.stringify(patterns, null, 2)}
+
+Focus on:
+1. Security vulnerabilities
+2. Performance issues
+3. Code smells
+4. Best practice violations
+5. Potential bugs
+
+Provide a brief summary of findings.`;
+
+      return await this.generateReview(prompt, {});
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Detect programming language from filename
+  detectLanguage(filename) {
+    const ext = filename.split('.').pop().toLowerCase();
+    const languageMap = {
+      'js': 'JavaScript',
+      'ts': 'TypeScript',
+      'jsx': 'React JSX',
+      'tsx': 'React TSX',
+      'py': 'Python',
+      'java': 'Java',
+      'cpp': 'C++',
+      'c': 'C',
+      'cs': 'C#',
+      'php': 'PHP',
+      'rb': 'Ruby',
+      'go': 'Go',
+      'rs': 'Rust',
+      'kt': 'Kotlin',
+      'swift': 'Swift'
+    };
+    return languageMap[ext] || 'Unknown';
+  }
+}
+
+LLMProvider.PROMPT_VERSION = PROMPT_VERSION;
+
+module.exports = LLMProvider;
@@ -0,0 +1,37 @@
+const OllamaLLM = require('./ollama-llm');
+const OpenAICompatibleLLM = require('./openai-llm');
+const MockLLM = require('./mock-llm');
+
+// Available LLM backends by the name used in LLM_PROVIDER and API requests
+const PROVIDERS = {
+  ollama: OllamaLLM,
+  openai: OpenAICompatibleLLM,
+  mock: MockLLM
+};
+
+function defaultProviderName() {
+  return (process.env.LLM_PROVIDER || 'ollama').toLowerCase();
+}
+
+function providerNames() {
+  return Object.keys(PROVIDERS);
+}
+
+function isProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+// Create a provider by name (defaults to LLM_PROVIDER). options.model
+// overrides the configured model. Returns null for unknown names.
+function createProvider(name = defaultProviderName(), options = {}) {
+  const Provider = isProvider(name) ? PROVIDERS[name] : null;
+  return Provider ? new Provider(options) : null;
+}
+
+module.exports = {
+  PROVIDERS,
+  providerNames,
+  defaultProviderName,
+  isProvider,
+  createProvider
+};
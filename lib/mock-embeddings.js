@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+const DIMENSIONS = 256;
+
+// Deterministic embeddings for tests and demos: texts that share words get
+// similar vectors, without a model
+class MockEmbeddings {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.label = 'Mock embeddings';
+    this.model = options.model || 'mock-embeddings';
+  }
+
+  async checkStatus() {
+    return { available: true };
+  }
+
+  async embed(texts, options = {}) {
+    if (options.signal && options.signal.aborted) {
+      return { success: false, error: 'Embedding was cancelled' };
+    }
+
+    const vectors = texts.map(text => this.vector(text));
+    if (options.onProgress) options.onProgress(vectors.length);
+    return { success: true, vectors };
+  }
+
+  // Hashed bag of words
+  vector(text) {
+    const vector = new Array(DIMENSIONS).fill(0);
+    for (const word of text.toLowerCase().match(/[a-z_$][\w$]*/g) || []) {
+      vector[crypto.createHash('md5').update(word).digest().readUInt16LE(0) % DIMENSIONS] += 1;
+    }
+    return vector;
+  }
+
+  describe() {
+    return { name: this.name, label: this.label, model: this.model };
+  }
+}
+
+module.exports = MockEmbeddings;
@@ -0,0 +1,85 @@
+const axios = require('axios');
+
+// Text embeddings from an Ollama embedding model (e.g. nomic-embed-text)
+class OllamaEmbeddings {
+  constructor(options = {}) {
+    this.name = 'ollama';
+    this.label = 'Ollama';
+    this.baseURL = options.baseURL || process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+    this.model = options.model || process.env.OLLAMA_EMBED_MODEL || 'nomic-embed-text';
+    this.batchSize = parseInt(process.env.OLLAMA_EMBED_BATCH_SIZE, 10) || 32;
+    // Without a limit, index builds and reviews hang when Ollama stops answering
+    this.timeoutMs = (parseInt(process.env.OLLAMA_EMBED_TIMEOUT_SECONDS, 10) || 120) * 1000;
+    this.statusTimeoutMs = 10 * 1000;
+  }
+
+  // Whether Ollama is running and has the embedding model
+  async checkStatus() {
+    try {
+      const response = await axios.get(`${this.baseURL}/api/tags`, { timeout: this.statusTimeoutMs });
+      const models = (response.data.models || []).map(model => model.name);
+      const available = models.some(name => name === this.model || name.split(':')[0] === this.model.split(':')[0]);
+
+      return available
+        ? { available: true }
+        : { available: false, error: `Embedding model ${this.model} is not available. Run: ollama pull ${this.model}` };
+    } catch (error) {
+      return { available: false, error: `Ollama is not reachable at ${this.baseURL} (${error.message})` };
+    }
+  }
+
+  // Embed texts in batches. Resolves to { success, vectors } with one
+  // vector per text, in order. options.onProgress receives the number of
+  // texts done; options.signal cancels.
+  async embed(texts, options = {}) {
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      if (options.signal && options.signal.aborted) {
+        return { success: false, error: 'Embedding was cancelled' };
+      }
+
+      const batch = texts.slice(i, i + this.batchSize);
+      const result = await this.embedBatch(batch, options.signal);
+      if (!result.success) {
+        return result;
+      }
+
+      vectors.push(...result.vectors);
+      if (options.onProgress) options.onProgress(vectors.length);
+    }
+
+    return { success: true, vectors };
+  }
+
+  // /api/embed takes a batch; Ollama versions before 0.3 only have
+  // /api/embeddings with one prompt per request
+  async embedBatch(texts, signal) {
+    try {
+      const response = await axios.post(`${this.baseURL}/api/embed`, { model: this.model, input: texts }, { signal, timeout: this.timeoutMs });
+      return { success: true, vectors: response.data.embeddings };
+    } catch (error) {
+      if (error.response?.status !== 404 || /model/i.test(error.response?.data?.error || '')) {
+        return { success: false, error: `Embedding failed: ${error.response?.data?.error || error.message}` };
+      }
+    }
+
+    try {
+      const vectors = [];
+      for (const text of texts) {
+        const response = await axios.post(`${this.baseURL}/api/embeddings`, { model: this.model, prompt: text }, { signal, timeout: this.timeoutMs });
+        vectors.push(response.data.embedding);
+      }
+      return { success: true, vectors };
+    } catch (error) {
+      return { success: false, error: `Embedding failed: ${error.response?.data?.error || error.message}` };
+    }
+  }
+
+  // Public description for status routes
+  describe() {
+    return { name: this.name, label: this.label, baseURL: this.baseURL, model: this.model };
+  }
+}
+
+module.exports = OllamaEmbeddings;
@@ -1,21 +1,28 @@
 const axios = require('axios');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-
-const execAsync = promisify(exec);
-
-class OllamaLLM {
-  constructor() {
-    this.baseURL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-    this.model = process.env.OLLAMA_MODEL || 'gemma:2b';
+const { spawn } = require('child_process');
+
+const LLMProvider = require('./llm-provider');
+
+// Largest output read from the ollama CLI
+const MAX_CLI_OUTPUT = 10 * 1024 * 1024;
+
+// Local models served by Ollama, with the ollama CLI as a fallback
+class OllamaLLM extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      name: 'ollama',
+      label: 'Ollama',
+      baseURL: options.baseURL || process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      model: options.model || process.env.OLLAMA_MODEL || 'gemma:2b'
+    });
   }
 
   // Check if Ollama is running and model is available
-  async checkOllamaStatus() {
+  async checkStatus() {
     try {
       const response = await axios.get(`${this.baseURL}/api/tags`);
       const models = response.data.models || [];
-      const modelExists = models.some(m => m.name.includes(this.model.split(':')[0]));
+      const modelExists = models.some(m => this.sameModel(m.name, this.model));
       
       return {
         running: true,
@@ -31,20 +38,53 @@ class OllamaLLM {
     }
   }
 
-  // Generate AI review using Ollama API
-  async generateReview(diffText, prContext = {}) {
+  // Ollama lists models with their tag; an untagged name means :latest
+  sameModel(listed, model) {
+    return listed === model || listed === `${model}:latest`;
+  }
+
+  // Ollama-specific hints for the usual setup problems
+  describeStatus(status) {
+    if (!status.running) {
+      return {
+        error: 'Ollama is not running. Please start Ollama service.',
+        suggestion: 'Run: ollama serve'
+      };
+    }
+
+    if (!status.modelAvailable) {
+      return {
+        error: `Model ${this.model} is not available.`,
+        suggestion: `Run: ollama pull ${this.model}`,
+        availableModels: status.availableModels
+      };
+    }
+
+    return null;
+  }
+
+  // Send a prompt to the Ollama API
+  // options.format: 'json' constrains the model to emit valid JSON
+  // options.signal: AbortSignal that cancels the generation
+  // options.onToken: streams the response token by token when given
+  async generate(prompt, options = {}) {
+    if (options.onToken) {
+      return await this.generateStream(prompt, options);
+    }
+
     try {
-      const prompt = this.buildReviewPrompt(diffText, prContext);
-      
       const response = await axios.post(`${this.baseURL}/api/generate`, {
         model: this.model,
         prompt: prompt,
         stream: false,
+        ...(options.format ? { format: options.format } : {}),
         options: {
           temperature: 0.3,
           top_p: 0.9,
           max_tokens: 1000
         }
+      }, {
+        signal: options.signal
       });
 
       if (response.data && response.data.response) {
@@ -60,36 +100,90 @@ class OllamaLLM {
         };
       }
     } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        return {
+          success: false,
+          error: 'Generation was cancelled'
+        };
+      }
+
       // Fallback to CLI if API fails
-      return await this.generateReviewCLI(diffText, prContext);
+      return await this.generateCLI(prompt, options);
     }
   }
 
-  // Fallback: Generate review using Ollama CLI
-  async generateReviewCLI(diffText, prContext = {}) {
+  // Send a prompt to the Ollama API and relay its NDJSON token stream
+  // to options.onToken, resolving with the complete response
+  async generateStream(prompt, options = {}) {
+    let text = '';
+
     try {
-      const prompt = this.buildReviewPrompt(diffText, prContext);
-      const escapedPrompt = prompt.replace(/"/g, '\\"').replace(/`/g, '\\`');
-      
-      const command = `ollama run ${this.model} "${escapedPrompt}"`;
-      const { stdout, stderr } = await execAsync(command, { 
-        maxBuffer: 1024 * 1024 * 10 // 10MB buffer
+      const response = await axios.post(`${this.baseURL}/api/generate`, {
+        model: this.model,
+        prompt: prompt,
+        stream: true,
+        ...(options.format ? { format: options.format } : {}),
+        options: {
+          temperature: 0.3,
+          top_p: 0.9,
+          max_tokens: 1000
+        }
+      }, {
+        responseType: 'stream',
+        signal: options.signal
       });
-      
-      if (stderr && !stdout) {
+
+      const handleLine = line => {
+        if (!line.trim()) return;
+        const part = JSON.parse(line);
+        if (part.error) {
+          throw new Error(part.error);
+        }
+        if (part.response) {
+          text += part.response;
+          options.onToken(part.response);
+        }
+      };
+
+      let buffer = '';
+      for await (const data of response.data) {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffer);
+
+      if (!text) {
         return {
           success: false,
-          error: stderr
+          error: 'No response from Ollama'
         };
       }
 
       return {
         success: true,
-        review: stdout.trim(),
+        review: text.trim(),
         model: this.model,
-        method: 'CLI'
+        method: 'API (stream)'
       };
     } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        return {
+          success: false,
+          error: 'Generation was cancelled'
+        };
+      }
+
+      // Fallback to CLI if nothing was streamed; the output arrives in one piece
+      if (!text) {
+        const result = await this.generateCLI(prompt, options);
+        if (result.success) {
+          options.onToken(result.review);
+        }
+        return result;
+      }
+
       return {
         success: false,
         error: error.message
@@ -97,103 +191,60 @@ class OllamaLLM {
     }
   }
 
-  // Build comprehensive review prompt
-  buildReviewPrompt(diffText, prContext) {
-    const { title = '', description = '', author = '' } = prContext;
-    
-    return `You are a senior software engineer conducting a code review. Analyze this GitHub Pull Request and provide a comprehensive review.
-
-**Pull Request Context:**
-- Title: ${title}
-- Author: ${author}
-- Description: ${description}
-
-**Code Changes:**
-\`\`\`diff
-${diffText.length > 8000 ? diffText.substring(0, 8000) + '\n... (truncated)' : diffText}
-\`\`\`
-
-**Review Guidelines:**
-1. Identify potential bugs, security issues, or performance problems
-2. Check for code quality and best practices
-3. Look for proper error handling and edge cases
-4. Evaluate code readability and maintainability
-5. Suggest improvements or optimizations
-
-**Please provide your review in the following format:**
-
-## 🔍 Code Review Summary
-
-### ✅ Positive Aspects
-- [List what's done well]
-
-### ⚠️ Issues Found
-- [List any problems, bugs, or concerns]
-
-### 💡 Suggestions
-- [List improvements and recommendations]
-
-### 🎯 Overall Assessment
-[Brief overall evaluation and recommendation]
-
-Keep your review constructive, specific, and actionable. Focus on the most important issues first.`;
-  }
-
-  // Analyze specific code patterns
-  async analyzeCodePatterns(files) {
-    try {
-      const patterns = files.map(file => ({
-        filename: file.filename,
-        language: this.detectLanguage(file.filename),
-        changes: file.changes,
-        additions: file.additions,
-        deletions: file.deletions
-      }));
-
-      const prompt = `Analyze these code changes for common patterns and potential issues:
-
-${JSON.stringify(patterns, null, 2)}
+  // Fallback: Send a prompt using the Ollama CLI. The model is passed as
+  // an argument and the prompt on stdin, never through a shell, since both
+  // can come from requests and pull requests.
+  generateCLI(prompt, options = {}) {
+    return new Promise(resolve => {
+      let stdout = '';
+      let stderr = '';
+      let settled = false;
+      const finish = result => {
+        if (!settled) {
+          settled = true;
+          resolve(result);
+        }
+      };
 
-Focus on:
-1. Security vulnerabilities
-2. Performance issues
-3. Code smells
-4. Best practice violations
-5. Potential bugs
+      const child = spawn('ollama', ['run', this.model], { signal: options.signal });
 
-Provide a brief summary of findings.`;
+      child.stdout.on('data', data => {
+        stdout += data;
+        if (stdout.length > MAX_CLI_OUTPUT) {
+          child.kill();
+          finish({ success: false, error: 'Ollama CLI output is too large' });
+        }
+      });
+      child.stderr.on('data', data => {
+        stderr += data;
+      });
+      child.on('error', error => {
+        finish({
+          success: false,
+          error: options.signal && options.signal.aborted ? 'Generation was cancelled' : error.message
+        });
+      });
+      child.on('close', code => {
+        if (code !== 0 || !stdout.trim()) {
+          return finish({
+            success: false,
+            error: stderr.trim() || `ollama run exited with code ${code}`
+          });
+        }
 
-      return await this.generateReview(prompt, {});
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
+        finish({
+          success: true,
+          review: stdout.trim(),
+          model: this.model,
+          method: 'CLI'
+        });
+      });
 
-  // Detect programming language from filename
-  detectLanguage(filename) {
-    const ext = filename.split('.').pop().toLowerCase();
-    const languageMap = {
-      'js': 'JavaScript',
-      'ts': 'TypeScript',
-      'jsx': 'React JSX',
-      'tsx': 'React TSX',
-      'py': 'Python',
-      'java': 'Java',
-      'cpp': 'C++',
-      'c': 'C',
-      'cs': 'C#',
-      'php': 'PHP',
-      'rb': 'Ruby',
-      'go': 'Go',
-      'rs': 'Rust',
-      'kt': 'Kotlin',
-      'swift': 'Swift'
-    };
-    return languageMap[ext] || 'Unknown';
+      // The CLI may exit before it reads the prompt
+      child.stdin.on('error', () => {});
+      child.stdin.end(prompt);
+    });
   }
 }
 
-module.exports = OllamaLLM;
\ No newline at end of file
+module.exports = OllamaLLM;
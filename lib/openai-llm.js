@@ -0,0 +1,163 @@
+const axios = require('axios');
+
+const LLMProvider = require('./llm-provider');
+
+// Any server implementing the OpenAI chat completions API:
+// llama.cpp server, vLLM, LM Studio, or a hosted endpoint
+class OpenAICompatibleLLM extends LLMProvider {
+  constructor(options = {}) {
+    super({
+      name: 'openai',
+      label: 'OpenAI-compatible server',
+      baseURL: (options.baseURL || process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, ''),
+      model: options.model || process.env.OPENAI_MODEL || ''
+    });
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS, 10) || 2048;
+    // Not every server supports response_format; disable it for those
+    this.jsonMode = process.env.OPENAI_JSON_MODE !== 'false';
+  }
+
+  headers() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  // Check the server through its model list. Servers that host a single
+  // model (llama.cpp) need no model configured; the first one is used.
+  async checkStatus() {
+    try {
+      const response = await axios.get(`${this.baseURL}/models`, { headers: this.headers() });
+      const models = (response.data.data || []).map(m => m.id);
+
+      if (!this.model && models.length > 0) {
+        this.model = models[0];
+      }
+
+      return {
+        running: true,
+        modelAvailable: models.includes(this.model),
+        availableModels: models
+      };
+    } catch (error) {
+      return {
+        running: false,
+        modelAvailable: false,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+
+  buildRequest(prompt, options, stream) {
+    return {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.3,
+      top_p: 0.9,
+      max_tokens: this.maxTokens,
+      stream,
+      ...(options.format === 'json' && this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+
+  errorResult(error, options) {
+    if (options.signal && options.signal.aborted) {
+      return {
+        success: false,
+        error: 'Generation was cancelled'
+      };
+    }
+
+    return {
+      success: false,
+      error: error.response?.data?.error?.message || error.message
+    };
+  }
+
+  // Send a prompt to the chat completions endpoint
+  async generate(prompt, options = {}) {
+    if (options.onToken) {
+      return await this.generateStream(prompt, options);
+    }
+
+    try {
+      const response = await axios.post(`${this.baseURL}/chat/completions`, this.buildRequest(prompt, options, false), {
+        headers: this.headers(),
+        signal: options.signal
+      });
+
+      const content = response.data?.choices?.[0]?.message?.content;
+      if (!content) {
+        return {
+          success: false,
+          error: `No response from ${this.label}`
+        };
+      }
+
+      return {
+        success: true,
+        review: content.trim(),
+        model: this.model,
+        method: 'API'
+      };
+    } catch (error) {
+      return this.errorResult(error, options);
+    }
+  }
+
+  // Stream a chat completion; the server answers with Server-Sent Events
+  // carrying content deltas and a final [DONE] marker
+  async generateStream(prompt, options = {}) {
+    let text = '';
+
+    try {
+      const response = await axios.post(`${this.baseURL}/chat/completions`, this.buildRequest(prompt, options, true), {
+        headers: this.headers(),
+        responseType: 'stream',
+        signal: options.signal
+      });
+
+      const handleLine = line => {
+        if (!line.startsWith('data:')) return;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') return;
+
+        const part = JSON.parse(data);
+        if (part.error) {
+          throw new Error(part.error.message || part.error);
+        }
+        const delta = part.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          options.onToken(delta);
+        }
+      };
+
+      let buffer = '';
+      for await (const data of response.data) {
+        buffer += data.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffer);
+
+      if (!text) {
+        return {
+          success: false,
+          error: `No response from ${this.label}`
+        };
+      }
+
+      return {
+        success: true,
+        review: text.trim(),
+        model: this.model,
+        method: 'API (stream)'
+      };
+    } catch (error) {
+      return this.errorResult(error, options);
+    }
+  }
+}
+
+module.exports = OpenAICompatibleLLM;
@@ -0,0 +1,520 @@
+const { mapLineToNewFile, getAddedLines } = require('./diff-chunker');
+const { renderMarkdown, renderPreviousFindings, renderToolFindings, renderSkippedFiles, findingsToComments, sortFindings } = require('./review-schema');
+const { loadReviewConfig, meetsThreshold } = require('./review-config');
+const { loadGitattributes, filterFiles } = require('./file-filter');
+const { createProvider } = require('./llm-providers');
+const { scanFiles } = require('./secret-scanner');
+const { createAnalyzers } = require('./static-analyzers');
+const { retrieveContext } = require('./context-retriever');
+
+// Files larger than this are not given to static analyzers
+const MAX_ANALYZED_FILE_BYTES = 1024 * 1024;
+
+// The PR analysis pipeline shared by /api/analyze-pr and webhook-triggered reviews
+class PRAnalyzer {
+  // llm is the default provider; analyze() accepts another one per call.
+  // Successful analyses are recorded in history when one is given.
+  // analyzers are the static analyzers run before the model (default:
+  // STATIC_ANALYZERS). With a codeIndex, related code from indexed
+  // repositories is added to the prompts.
+  constructor(llm, { history, analyzers, codeIndex } = {}) {
+    this.llm = llm;
+    this.history = history;
+    this.codeIndex = codeIndex;
+    this.staticAnalysisMaxFiles = parseInt(process.env.STATIC_ANALYSIS_MAX_FILES, 10) || 50;
+    // Surrounding lines added to each hunk and tokens for the definitions
+    // of referenced symbols; 0 turns either off
+    this.contextLines = parseInt(process.env.REVIEW_CONTEXT_LINES, 10);
+    if (isNaN(this.contextLines)) this.contextLines = 10;
+    this.contextTokens = parseInt(process.env.REVIEW_CONTEXT_TOKENS, 10);
+    if (isNaN(this.contextTokens)) this.contextTokens = 1500;
+
+    if (analyzers) {
+      this.analyzers = analyzers;
+    } else {
+      const configured = createAnalyzers();
+      this.analyzers = configured.analyzers;
+      for (const name of configured.unknown) {
+        console.warn(`⚠️  Unknown static analyzer "${name}" in STATIC_ANALYZERS was ignored`);
+      }
+    }
+  }
+
+  // Fetch the PR, review its files and build the analysis response.
+  // Failures carry an HTTP status so routes can pass them straight through.
+  // onProgress receives stage updates, onToken streamed model output and
+  // signal cancels the LLM work. source and requestedBy are stored with
+  // the review in history. With incremental set, only the commits pushed
+  // since the last stored review are reviewed. The repository's
+  // .ai-reviewer.yml may pick the model unless explicitModel is set.
+  async analyze(githubAPI, { owner, repo, prNumber, tokenBudget, maxChunks, llm = this.llm, explicitModel = false, signal, onProgress = () => {}, onToken, source, requestedBy, incremental = false }) {
+    const startedAt = new Date();
+    onProgress({ stage: 'fetching' });
+
+    // Get PR details
+    const prResult = await githubAPI.getPullRequest(owner, repo, prNumber);
+    if (!prResult.success) {
+      return { success: false, status: 500, error: prResult.error };
+    }
+    const prData = prResult.pull;
+
+    // Get PR files; their per-file patches are reviewed chunk by chunk
+    const filesResult = await githubAPI.getPullRequestFiles(owner, repo, prNumber);
+    if (!filesResult.success) {
+      return { success: false, status: 500, error: filesResult.error };
+    }
+
+    // Review rules come from the base branch, not from the PR itself
+    const configResult = await loadReviewConfig(githubAPI, owner, repo, prData.base.ref);
+    if (!configResult.success) {
+      return { success: false, status: 500, error: configResult.error };
+    }
+    const reviewConfig = configResult.config;
+    for (const warning of configResult.warnings) {
+      console.warn(`⚠️  ${owner}/${repo}: ${warning}`);
+    }
+
+    const attributesResult = await loadGitattributes(githubAPI, owner, repo, prData.base.ref);
+    if (!attributesResult.success) {
+      return { success: false, status: 500, error: attributesResult.error };
+    }
+
+    // Anyone who can commit to the base branch picks this model, so only
+    // a model the provider lists by that exact name is used
+    if (reviewConfig.model && !explicitModel && reviewConfig.model !== llm.model) {
+      const check = await llm.hasModel(reviewConfig.model);
+      if (check.success && check.available) {
+        llm = createProvider(llm.name, { model: reviewConfig.model });
+      } else {
+        const warning = `model: ${reviewConfig.model} is not a model of ${llm.label}; using ${llm.model}`;
+        console.warn(`⚠️  ${owner}/${repo}: ${warning}`);
+        configResult.warnings.push(warning);
+      }
+    }
+
+    let delta = null;
+    let incrementalFallback;
+    if (incremental) {
+      const deltaResult = await this.fetchDelta(githubAPI, { owner, repo, prNumber, pull: prData, files: filesResult.files });
+      if (!deltaResult.success) {
+        return deltaResult;
+      }
+      delta = deltaResult.delta;
+      incrementalFallback = deltaResult.fallback;
+    }
+
+    // Committed secrets are reported without the model and redacted before
+    // any patch reaches it, including files the filters leave out
+    const secretScanEnabled = process.env.SECRET_SCAN !== 'false';
+    const changedFiles = delta ? delta.files : filesResult.files;
+    const secretScan = secretScanEnabled ? scanFiles(changedFiles) : { findings: [], files: changedFiles };
+    if (delta && secretScanEnabled) {
+      delta = { ...delta, files: secretScan.files, allFiles: scanFiles(delta.allFiles).files };
+    }
+    if (secretScan.findings.length > 0) {
+      console.warn(`🔑 ${owner}/${repo}#${prNumber}: ${secretScan.findings.length} possible secret(s) found and redacted`);
+    }
+
+    onProgress({ stage: 'checking-model', filesChanged: filesResult.files.length });
+
+    // Check the LLM backend
+    const statusProblem = llm.describeStatus(await llm.checkStatus());
+    if (statusProblem) {
+      return { success: false, status: 503, ...statusProblem };
+    }
+
+    // Generate AI review
+    const prContext = {
+      title: prData.title,
+      description: prData.body || '',
+      author: prData.user,
+      sinceSha: delta ? delta.baseSha : undefined,
+      reviewConfig
+    };
+    // Lock files, generated and vendored code would only eat the token budget
+    const filtered = filterFiles(secretScan.files, {
+      config: reviewConfig,
+      attributes: attributesResult.rules
+    });
+    const reviewFiles = filtered.included;
+
+    let staticAnalysis = null;
+    if (this.analyzers.length > 0 && reviewFiles.length > 0) {
+      onProgress({ stage: 'static-analysis' });
+      staticAnalysis = await this.runStaticAnalysis(githubAPI, { owner, repo, ref: prData.head.sha, files: reviewFiles });
+      prContext.toolFindings = staticAnalysis.findings;
+    }
+
+    // The model sees the code around each hunk and what the changed lines use
+    let promptFiles = reviewFiles;
+    let context = null;
+    if ((this.contextLines > 0 || this.contextTokens > 0) && reviewFiles.length > 0) {
+      onProgress({ stage: 'retrieving-context' });
+      const retrieved = await retrieveContext(githubAPI, {
+        owner,
+        repo,
+        baseSha: delta ? delta.baseSha : prData.base.sha,
+        headSha: prData.head.sha,
+        files: reviewFiles,
+        contextLines: this.contextLines,
+        tokenBudget: this.contextTokens,
+        maxFiles: this.staticAnalysisMaxFiles,
+        redact: secretScanEnabled
+      });
+      promptFiles = retrieved.files;
+      prContext.definitions = retrieved.definitions;
+      context = {
+        ...retrieved.stats,
+        definitions: retrieved.definitions.map(({ symbol, usedIn, source, start, end, removed }) => ({ symbol, usedIn, source, start, end, removed: Boolean(removed) }))
+      };
+    }
+
+    // Similar code elsewhere in the repository, when it has been indexed
+    let relatedCode = null;
+    if (this.codeIndex && reviewFiles.length > 0) {
+      onProgress({ stage: 'retrieving-related-code' });
+      const related = await this.codeIndex.retrieve(githubAPI, owner, repo, reviewFiles, { baseSha: prData.base.sha, signal });
+      if (related && !related.success) {
+        console.warn(`⚠️  ${owner}/${repo}: related code retrieval failed: ${related.error}`);
+        relatedCode = { error: related.error };
+      } else if (related) {
+        prContext.relatedCode = related.snippets;
+        relatedCode = {
+          ...related.stats,
+          snippets: related.snippets.map(({ file, start, end, score, usedIn }) => ({ file, start, end, score, usedIn }))
+        };
+      }
+    }
+
+    const reviewResult = reviewFiles.length > 0 || (!delta && filtered.skipped.length === 0)
+      ? await llm.generateChunkedReview(promptFiles, prContext, {
+        tokenBudget: parseInt(tokenBudget, 10) || undefined,
+        maxChunks: parseInt(maxChunks, 10) || undefined,
+        signal,
+        onProgress,
+        onToken
+      })
+      : this.emptyReview(llm, delta
+        ? 'None of the pull request\'s reviewable files changed since the last review.'
+        : 'All changed files are excluded from review.');
+
+    if (!reviewResult.success) {
+      return { success: false, status: 500, error: `AI analysis failed: ${reviewResult.error}` };
+    }
+
+    const structured = secretScan.findings.length > 0
+      ? { ...reviewResult.structured, findings: [...secretScan.findings, ...reviewResult.structured.findings] }
+      : reviewResult.structured;
+    const limited = this.applyConfig(reviewConfig, structured);
+    const coverage = {
+      ...reviewResult.coverage,
+      skipped: [...filtered.skipped, ...reviewResult.coverage.skipped]
+    };
+    let review = limited.truncated > 0 || secretScan.findings.length > 0 ? renderMarkdown(limited.structured) : reviewResult.review;
+    let incrementalInfo;
+    let openFindings;
+
+    if (delta) {
+      onProgress({ stage: 'checking-earlier-findings' });
+      const previousFindings = await this.checkPreviousFindings(llm, delta, { tokenBudget, signal, onToken });
+
+      review += '\n' + renderPreviousFindings(previousFindings, delta.baseSha);
+      openFindings = [
+        ...previousFindings.stillApplies,
+        ...previousFindings.unverified,
+        ...limited.structured.findings
+      ].map(({ reason, ...finding }) => finding);
+      incrementalInfo = {
+        previousReviewId: delta.previousReviewId,
+        baseSha: delta.baseSha,
+        commits: delta.commits,
+        files: delta.files.map(file => file.filename),
+        previousFindings
+      };
+    }
+
+    if (staticAnalysis) {
+      review += renderToolFindings(staticAnalysis.findings);
+    }
+    review += renderSkippedFiles(coverage.skipped);
+
+    const finishedAt = new Date();
+    const analysis = {
+      pr: {
+        title: prData.title,
+        author: prData.user,
+        url: prData.html_url,
+        filesChanged: filesResult.files.length,
+        filesTruncated: filesResult.truncated
+      },
+      review,
+      structured: limited.structured,
+      provider: llm.name,
+      model: reviewResult.model,
+      promptVersion: llm.promptVersion,
+      method: reviewResult.method || 'API',
+      repaired: reviewResult.repaired,
+      chunks: reviewResult.chunks,
+      coverage,
+      comments: findingsToComments(limited.structured.findings.filter(finding => meetsThreshold(reviewConfig, finding))),
+      headSha: prData.head.sha,
+      baseSha: prData.base.sha,
+      scope: delta ? 'incremental' : 'full',
+      incremental: incrementalInfo,
+      incrementalFallback,
+      openFindings,
+      secretScan: { enabled: secretScanEnabled, findings: secretScan.findings.length },
+      staticAnalysis,
+      context,
+      relatedCode,
+      config: {
+        source: configResult.source,
+        settings: reviewConfig,
+        warnings: configResult.warnings,
+        truncatedFindings: limited.truncated
+      },
+      timing: {
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt
+      }
+    };
+
+    if (this.history) {
+      const stored = this.history.add({ owner, repo, prNumber, source, requestedBy, analysis });
+      analysis.reviewId = stored.id;
+    }
+
+    return { success: true, analysis };
+  }
+
+  // Run the static analyzers over the full contents of the changed files
+  // at the head commit and keep the diagnostics on added lines. Analyzers
+  // that are not installed or fail are reported instead of failing the
+  // review. Resolves to { analyzers: [{ name, status, ... }], findings }.
+  async runStaticAnalysis(githubAPI, { owner, repo, ref, files }) {
+    const candidates = files
+      .filter(file => file.status !== 'removed' && file.patch && this.analyzers.some(analyzer => analyzer.supports(file.filename)))
+      .slice(0, this.staticAnalysisMaxFiles);
+    const addedLines = new Map(candidates.map(file => [file.filename, getAddedLines(file.patch)]));
+
+    const contents = [];
+    for (const file of candidates) {
+      const result = await githubAPI.getFileContent(owner, repo, file.filename, ref);
+      if (result.success && result.content !== null && result.content.length <= MAX_ANALYZED_FILE_BYTES) {
+        contents.push({ filename: file.filename, content: result.content });
+      }
+    }
+
+    const onChangedLines = diagnostic => {
+      const added = addedLines.get(diagnostic.file);
+      if (!added) return false;
+      for (let line = diagnostic.line; line <= Math.max(diagnostic.endLine || diagnostic.line, diagnostic.line); line++) {
+        if (added.has(line)) return true;
+      }
+      return false;
+    };
+
+    const report = { analyzers: [], findings: [] };
+    for (const analyzer of this.analyzers) {
+      const supported = contents.filter(file => analyzer.supports(file.filename));
+      const entry = { ...analyzer.describe(), status: 'ok', files: supported.length, diagnostics: 0 };
+      report.analyzers.push(entry);
+
+      if (supported.length === 0) {
+        entry.status = 'no-files';
+        continue;
+      }
+
+      const status = await analyzer.checkStatus();
+      if (!status.available) {
+        entry.status = 'unavailable';
+        entry.error = status.error;
+        continue;
+      }
+
+      const result = await analyzer.analyze(supported);
+      if (!result.success) {
+        console.warn(`⚠️  ${owner}/${repo}: ${analyzer.label} failed: ${result.error}`);
+        entry.status = 'failed';
+        entry.error = result.error;
+        continue;
+      }
+
+      const diagnostics = result.diagnostics.filter(onChangedLines);
+      entry.diagnostics = diagnostics.length;
+      report.findings.push(...diagnostics.map(diagnostic => analyzer.toFinding(diagnostic)));
+    }
+
+    report.findings = sortFindings(report.findings);
+    return report;
+  }
+
+  // Cap the findings at max_findings, keeping the most severe
+  applyConfig(reviewConfig, structured) {
+    if (reviewConfig.maxFindings === null || structured.findings.length <= reviewConfig.maxFindings) {
+      return { structured, truncated: 0 };
+    }
+
+    return {
+      structured: { ...structured, findings: sortFindings(structured.findings).slice(0, reviewConfig.maxFindings) },
+      truncated: structured.findings.length - reviewConfig.maxFindings
+    };
+  }
+
+  // Find the head SHA of the last review and fetch the changes since then.
+  // Resolves to { success, delta } or, when the whole PR has to be reviewed,
+  // { success, delta: null, fallback: reason }.
+  async fetchDelta(githubAPI, { owner, repo, prNumber, pull, files }) {
+    if (!this.history) {
+      return { success: false, status: 400, error: 'Incremental reviews need the review history' };
+    }
+
+    const previous = this.history.latest(owner, repo, prNumber);
+    if (!previous) {
+      return { success: true, delta: null, fallback: 'No earlier review of this pull request; reviewed all changes' };
+    }
+
+    if (previous.headSha === pull.head.sha) {
+      return {
+        success: false,
+        status: 409,
+        error: `No new commits since the last review (${previous.headSha.slice(0, 7)})`,
+        reviewId: previous.id
+      };
+    }
+
+    const compareResult = await githubAPI.compareCommits(owner, repo, previous.headSha, pull.head.sha);
+    if (!compareResult.success) {
+      return { success: false, status: 500, error: compareResult.error };
+    }
+
+    const { comparison } = compareResult;
+    if (comparison.status !== 'ahead') {
+      return {
+        success: true,
+        delta: null,
+        fallback: `The branch history changed since the last review (${previous.headSha.slice(0, 7)}), e.g. by a force push; reviewed all changes`
+      };
+    }
+    if (comparison.filesTruncated) {
+      return {
+        success: true,
+        delta: null,
+        fallback: `Too many files changed since the last review (${previous.headSha.slice(0, 7)}) for GitHub to list them all; reviewed all changes`
+      };
+    }
+
+    // Changes merged in from the base branch are not part of the PR
+    const prFiles = new Set(files.map(file => file.filename));
+
+    return {
+      success: true,
+      delta: {
+        previousReviewId: previous.id,
+        baseSha: previous.headSha,
+        commits: comparison.commits,
+        files: comparison.files.filter(file => prFiles.has(file.filename)),
+        allFiles: comparison.files,
+        previousFindings: this.history.openFindings(previous)
+      }
+    };
+  }
+
+  // Sort the findings of the last review into resolved, still applying and
+  // unverified. Findings in untouched code still apply (with their lines
+  // moved); findings in changed code are checked by the model.
+  async checkPreviousFindings(llm, delta, options) {
+    const changedFiles = new Map(delta.allFiles.map(file => [file.previous_filename || file.filename, file]));
+    const result = { resolved: [], stillApplies: [], unverified: [] };
+    const toVerify = [];
+
+    for (const finding of delta.previousFindings) {
+      const file = changedFiles.get(finding.file);
+
+      if (!file) {
+        result.stillApplies.push({ ...finding, reason: 'Code is unchanged' });
+        continue;
+      }
+
+      if (file.status === 'removed') {
+        result.resolved.push({ ...finding, reason: 'File was deleted' });
+        continue;
+      }
+
+      const moved = { ...finding, file: file.filename };
+
+      if (!file.patch) {
+        result.unverified.push({ ...moved, reason: 'File changed but no diff is available' });
+      } else if (this.untouched(file.patch, finding)) {
+        result.stillApplies.push({
+          ...moved,
+          line_start: mapLineToNewFile(file.patch, finding.line_start),
+          line_end: mapLineToNewFile(file.patch, finding.line_end),
+          reason: 'Code is unchanged'
+        });
+      } else {
+        toVerify.push(moved);
+      }
+    }
+
+    if (toVerify.length === 0) {
+      return result;
+    }
+
+    const files = [...new Set(toVerify.map(finding => finding.file))]
+      .map(filename => delta.allFiles.find(file => file.filename === filename));
+    const verified = await llm.verifyFindings(toVerify, files, {
+      tokenBudget: parseInt(options.tokenBudget, 10) || undefined,
+      signal: options.signal,
+      onToken: options.onToken
+    });
+    const verdicts = new Map((verified.success ? verified.results : []).map(item => [item.index, item]));
+
+    toVerify.forEach((finding, index) => {
+      const verdict = verdicts.get(index);
+      if (!verdict) {
+        result.unverified.push({ ...finding, reason: verified.success ? 'The model gave no verdict' : `Could not check: ${verified.error}` });
+      } else if (verdict.status === 'resolved') {
+        result.resolved.push({ ...finding, reason: verdict.reason });
+      } else {
+        result.stillApplies.push({ ...finding, reason: verdict.reason });
+      }
+    });
+
+    return result;
+  }
+
+  // Whether the lines of a finding survive the patch unchanged and with
+  // nothing inserted between them
+  untouched(patch, finding) {
+    let previous = null;
+    for (let line = finding.line_start; line <= finding.line_end; line++) {
+      const mapped = mapLineToNewFile(patch, line);
+      if (mapped === null || (previous !== null && mapped !== previous + 1)) {
+        return false;
+      }
+      previous = mapped;
+    }
+    return true;
+  }
+
+  // Review result for an incremental review without changes to review
+  emptyReview(llm, summary) {
+    const structured = { summary, positives: [], findings: [], assessment: 'No new changes to assess.' };
+
+    return {
+      success: true,
+      review: renderMarkdown(structured),
+      structured,
+      comments: findingsToComments([]),
+      model: llm.model,
+      method: 'none',
+      repaired: false,
+      chunks: 0,
+      coverage: { reviewed: [], partial: [], skipped: [] }
+    };
+  }
+}
+
+module.exports = PRAnalyzer;
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// GitHub rate-limit state per token, shared by all GitHubAPI instances
+// (they are created per request). Tokens are only kept as hashes.
+class RateLimitTracker {
+  constructor(options = {}) {
+    // Start holding requests back when this few are left
+    this.threshold = options.threshold ?? (parseInt(process.env.GITHUB_RATE_LIMIT_THRESHOLD, 10) || 10);
+    // Longest wait for a reset before failing instead
+    this.maxWaitMs = options.maxWaitMs ?? (parseInt(process.env.GITHUB_RATE_LIMIT_MAX_WAIT_SECONDS, 10) || 60) * 1000;
+    this.limits = new Map();
+  }
+
+  key(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 16);
+  }
+
+  // Record the X-RateLimit-* headers of a response
+  update(token, headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+
+    const resource = headers['x-ratelimit-resource'] || 'core';
+    const entry = this.limits.get(this.key(token)) || {};
+    entry[resource] = {
+      limit: parseInt(headers['x-ratelimit-limit'], 10),
+      remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+      used: parseInt(headers['x-ratelimit-used'], 10) || 0,
+      reset: new Date(parseInt(headers['x-ratelimit-reset'], 10) * 1000).toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    this.limits.set(this.key(token), entry);
+  }
+
+  // Last known state per resource, or {} before the first request
+  get(token) {
+    return this.limits.get(this.key(token)) || {};
+  }
+
+  // How long a request has to wait for the limit to reset; 0 when enough
+  // requests are left or the reset has passed
+  delayFor(token, resource = 'core') {
+    const state = this.get(token)[resource];
+    if (!state || state.remaining > this.threshold) return 0;
+    return Math.max(0, new Date(state.reset).getTime() - Date.now());
+  }
+
+  // Wait until a request may be made. Resolves to { success } or, when the
+  // reset is further away than maxWaitMs, { success: false, error }.
+  async acquire(token, resource = 'core') {
+    const delay = this.delayFor(token, resource);
+    if (delay === 0) {
+      return { success: true };
+    }
+
+    const state = this.get(token)[resource];
+    if (delay > this.maxWaitMs) {
+      return {
+        success: false,
+        error: `GitHub API rate limit nearly exhausted (${state.remaining} of ${state.limit} left); resets at ${state.reset}`
+      };
+    }
+
+    console.log(`⏳ GitHub rate limit low (${state.remaining} left), waiting ${Math.ceil(delay / 1000)}s for reset`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return { success: true };
+  }
+}
+
+module.exports = RateLimitTracker;
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+const ReviewPublisher = require('./review-publisher');
+
+const POST_MODES = ['comment', 'review'];
+
+// Per-repository automation settings, persisted to a JSON file
+class RepoSettings {
+  constructor(filePath = process.env.REPO_SETTINGS_FILE || 'repo-settings.json') {
+    this.filePath = path.resolve(filePath);
+    // Webhook reviews put untrusted PR content into prompts for anyone who
+    // can open a PR, so repositories opt in unless the operator says otherwise
+    this.defaults = {
+      autoReview: process.env.WEBHOOK_AUTO_REVIEW === 'true',
+      autoPost: process.env.WEBHOOK_AUTO_POST === 'true',
+      postMode: process.env.WEBHOOK_POST_MODE || 'review',
+      event: process.env.WEBHOOK_REVIEW_EVENT || 'COMMENT',
+      incremental: process.env.WEBHOOK_INCREMENTAL === 'true'
+    };
+    this.settings = this.load();
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('⚠️  Failed to read repo settings:', error.message);
+      }
+      return {};
+    }
+  }
+
+  save() {
+    fs.writeFileSync(this.filePath, JSON.stringify(this.settings, null, 2));
+  }
+
+  key(owner, repo) {
+    return `${owner}/${repo}`.toLowerCase();
+  }
+
+  // Settings for a repository, falling back to the defaults
+  get(owner, repo) {
+    return {
+      ...this.defaults,
+      ...(this.settings[this.key(owner, repo)] || {})
+    };
+  }
+
+  // Validate and store changed settings for a repository
+  update(owner, repo, changes) {
+    const updated = { ...this.get(owner, repo) };
+
+    for (const field of ['autoReview', 'autoPost', 'incremental']) {
+      if (changes[field] !== undefined) {
+        if (typeof changes[field] !== 'boolean') {
+          return { success: false, error: `${field} must be true or false` };
+        }
+        updated[field] = changes[field];
+      }
+    }
+
+    if (changes.postMode !== undefined) {
+      if (!POST_MODES.includes(changes.postMode)) {
+        return { success: false, error: `postMode must be one of: ${POST_MODES.join(', ')}` };
+      }
+      updated.postMode = changes.postMode;
+    }
+
+    if (changes.event !== undefined) {
+      if (!ReviewPublisher.REVIEW_EVENTS.includes(changes.event)) {
+        return { success: false, error: `event must be one of: ${ReviewPublisher.REVIEW_EVENTS.join(', ')}` };
+      }
+      updated.event = changes.event;
+    }
+
+    this.settings[this.key(owner, repo)] = updated;
+    this.save();
+
+    return { success: true, settings: updated };
+  }
+}
+
+module.exports = RepoSettings;
@@ -0,0 +1,176 @@
+const YAML = require('yaml');
+const { minimatch } = require('minimatch');
+
+const { SEVERITIES, CATEGORIES } = require('./review-schema');
+
+// Per-repository review configuration, read from the base branch of the
+// pull request so a PR cannot change the rules it is reviewed under
+const CONFIG_FILE = '.ai-reviewer.yml';
+
+const DEFAULT_CONFIG = {
+  ignore: [],
+  include: [],
+  focus: [],
+  instructions: '',
+  model: null,
+  maxFindings: null,
+  severityThreshold: 'nit',
+  languages: {}
+};
+
+const stringList = value => (Array.isArray(value) ? value : [value])
+  .filter(item => typeof item === 'string' && item.trim())
+  .map(item => item.trim());
+
+// Validate parsed YAML. Invalid settings are dropped with a warning
+// instead of failing the review.
+function normalizeConfig(data) {
+  const config = { ...DEFAULT_CONFIG, languages: {} };
+  const warnings = [];
+
+  if (data === null || data === undefined) {
+    return { config, warnings };
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { config, warnings: [`${CONFIG_FILE} must contain a mapping of settings`] };
+  }
+
+  const known = ['ignore', 'include', 'focus', 'instructions', 'model', 'max_findings', 'severity_threshold', 'languages'];
+  for (const key of Object.keys(data)) {
+    if (!known.includes(key)) {
+      warnings.push(`Unknown setting "${key}" was ignored`);
+    }
+  }
+
+  if (data.ignore !== undefined) {
+    config.ignore = stringList(data.ignore);
+  }
+
+  if (data.include !== undefined) {
+    config.include = stringList(data.include);
+  }
+
+  if (data.focus !== undefined) {
+    const focus = stringList(data.focus).map(item => item.toLowerCase());
+    const unknown = focus.filter(item => !CATEGORIES.includes(item));
+    if (unknown.length > 0) {
+      warnings.push(`focus: unknown ${unknown.length === 1 ? 'category' : 'categories'} ${unknown.join(', ')} (use ${CATEGORIES.join(', ')})`);
+    }
+    config.focus = focus.filter(item => CATEGORIES.includes(item));
+  }
+
+  if (data.instructions !== undefined) {
+    if (typeof data.instructions === 'string') {
+      config.instructions = data.instructions.trim();
+    } else {
+      warnings.push('instructions must be a string');
+    }
+  }
+
+  if (data.model !== undefined && data.model !== null) {
+    if (typeof data.model === 'string' && data.model.trim()) {
+      config.model = data.model.trim();
+    } else {
+      warnings.push('model must be a model name');
+    }
+  }
+
+  if (data.max_findings !== undefined && data.max_findings !== null) {
+    if (Number.isInteger(data.max_findings) && data.max_findings >= 0) {
+      config.maxFindings = data.max_findings;
+    } else {
+      warnings.push('max_findings must be a whole number');
+    }
+  }
+
+  if (data.severity_threshold !== undefined) {
+    const threshold = String(data.severity_threshold).toLowerCase();
+    if (SEVERITIES.includes(threshold)) {
+      config.severityThreshold = threshold;
+    } else {
+      warnings.push(`severity_threshold must be one of: ${SEVERITIES.join(', ')}`);
+    }
+  }
+
+  if (data.languages !== undefined) {
+    if (data.languages && typeof data.languages === 'object' && !Array.isArray(data.languages)) {
+      for (const [language, rules] of Object.entries(data.languages)) {
+        const list = stringList(rules);
+        if (list.length > 0) {
+          config.languages[language] = list;
+        } else {
+          warnings.push(`languages.${language} must be a rule or a list of rules`);
+        }
+      }
+    } else {
+      warnings.push('languages must map a language name or file glob to rules');
+    }
+  }
+
+  return { config, warnings };
+}
+
+// Parse the contents of a config file
+function parseReviewConfig(text) {
+  let data;
+  try {
+    data = YAML.parse(text);
+  } catch (error) {
+    return { config: { ...DEFAULT_CONFIG, languages: {} }, warnings: [`Invalid YAML in ${CONFIG_FILE}: ${error.message}`] };
+  }
+  return normalizeConfig(data);
+}
+
+// Load the config of a repository at a ref. Resolves to
+// { success, config, source: { path, ref } | null, warnings }; a missing
+// file gives the defaults.
+async function loadReviewConfig(githubAPI, owner, repo, ref) {
+  const result = await githubAPI.getFileContent(owner, repo, CONFIG_FILE, ref);
+  if (!result.success) {
+    return { success: false, error: `Failed to read ${CONFIG_FILE}: ${result.error}` };
+  }
+
+  if (result.content === null) {
+    return { success: true, config: { ...DEFAULT_CONFIG, languages: {} }, source: null, warnings: [] };
+  }
+
+  const { config, warnings } = parseReviewConfig(result.content);
+  return { success: true, config, source: { path: CONFIG_FILE, ref }, warnings };
+}
+
+// Whether a file is excluded by the ignore globs
+function isIgnored(config, filename) {
+  return config.ignore.some(pattern => minimatch(filename, pattern, { dot: true, matchBase: !pattern.includes('/') }));
+}
+
+// Language rules that apply to any of the files. Keys are language names
+// as detected from the extension (JavaScript, Python, ...) or file globs.
+function languageRules(config, filenames, detectLanguage) {
+  const rules = [];
+
+  for (const [key, list] of Object.entries(config.languages)) {
+    const applies = filenames.some(filename => detectLanguage(filename).toLowerCase() === key.toLowerCase() ||
+      minimatch(filename, key, { dot: true, matchBase: !key.includes('/') }));
+    if (applies) {
+      rules.push(...list.map(rule => `${key}: ${rule}`));
+    }
+  }
+
+  return rules;
+}
+
+// Whether a finding is severe enough to be posted inline
+function meetsThreshold(config, finding) {
+  return SEVERITIES.indexOf(finding.severity) <= SEVERITIES.indexOf(config.severityThreshold);
+}
+
+module.exports = {
+  CONFIG_FILE,
+  DEFAULT_CONFIG,
+  normalizeConfig,
+  parseReviewConfig,
+  loadReviewConfig,
+  isIgnored,
+  languageRules,
+  meetsThreshold
+};
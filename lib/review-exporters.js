@@ -0,0 +1,194 @@
+// Export a review's findings in formats other tools consume
+
+const { version } = require('../package.json');
+const { CATEGORIES, sortFindings, analysisFindings } = require('./review-schema');
+const GitHubAPI = require('./github-api');
+
+const TOOL_NAME = 'AI PR Reviewer';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// One SARIF rule per finding category
+const RULES = {
+  bug: { name: 'PossibleBug', description: 'The change may not behave as intended' },
+  security: { name: 'SecurityIssue', description: 'The change may introduce a security weakness' },
+  perf: { name: 'PerformanceIssue', description: 'The change may be slow or wasteful' },
+  style: { name: 'StyleIssue', description: 'The change is hard to read or maintain' },
+  test: { name: 'TestingGap', description: 'The change lacks tests or breaks existing ones' }
+};
+
+// SARIF levels of the review severities
+const SARIF_LEVELS = {
+  blocker: 'error',
+  major: 'error',
+  minor: 'warning',
+  nit: 'note'
+};
+
+// Export formats with their content type and file extension
+const FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  sarif: { contentType: 'application/sarif+json; charset=utf-8', extension: 'sarif' },
+  junit: { contentType: 'application/xml; charset=utf-8', extension: 'xml' }
+};
+const EXPORT_FORMATS = Object.keys(FORMATS);
+
+const ruleId = category => `ai-review/${category}`;
+
+const findingText = finding => [finding.title, finding.message, finding.suggestion && `Suggested fix: ${finding.suggestion}`]
+  .filter(Boolean)
+  .join('\n\n');
+
+// Files of the pull request that were reviewed, then any other file a
+// finding points at
+function reviewedFiles(analysis, findings) {
+  const coverage = analysis.coverage || { reviewed: [], partial: [] };
+  const files = [...coverage.reviewed, ...coverage.partial.map(file => file.filename)];
+  return [...new Set([...files, ...findings.map(finding => finding.file)])];
+}
+
+// SARIF 2.1.0 log of an analysis, with every open finding (see
+// analysisFindings). Locations are relative to the repository
+// root, as code-scanning uploads expect; owner and repo add the repository
+// and head commit as version control provenance.
+function toSarif(analysis, { owner, repo, prNumber } = {}) {
+  const findings = sortFindings(analysisFindings(analysis));
+  const files = reviewedFiles(analysis, findings);
+
+  const run = {
+    tool: {
+      driver: {
+        name: TOOL_NAME,
+        version,
+        rules: CATEGORIES.map(category => ({
+          id: ruleId(category),
+          name: RULES[category].name,
+          shortDescription: { text: RULES[category].description },
+          properties: { tags: [category] }
+        }))
+      }
+    },
+    artifacts: files.map(file => ({
+      location: { uri: file, uriBaseId: '%SRCROOT%' },
+      roles: ['modified']
+    })),
+    results: findings.map(finding => ({
+      ruleId: ruleId(finding.category),
+      ruleIndex: CATEGORIES.indexOf(finding.category),
+      level: SARIF_LEVELS[finding.severity],
+      message: { text: findingText(finding) },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: finding.file, uriBaseId: '%SRCROOT%', index: files.indexOf(finding.file) },
+          region: { startLine: finding.line_start, endLine: finding.line_end }
+        }
+      }],
+      properties: {
+        severity: finding.severity,
+        category: finding.category,
+        title: finding.title,
+        ...(finding.tool && { tool: finding.tool, rule: finding.rule })
+      }
+    })),
+    properties: {
+      model: analysis.model,
+      provider: analysis.provider,
+      pullRequest: analysis.pr ? analysis.pr.url : undefined
+    }
+  };
+
+  if (owner && repo) {
+    run.versionControlProvenance = [{
+      repositoryUri: GitHubAPI.webURL(`/${owner}/${repo}`),
+      revisionId: analysis.headSha
+    }];
+    run.automationDetails = { id: `${TOOL_NAME.toLowerCase().replace(/ /g, '-')}/${owner}/${repo}/pr-${prNumber || 'unknown'}/` };
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [run]
+  };
+}
+
+const escapeXml = value => String(value ?? '')
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// JUnit XML of an analysis for CI test reports: a test suite per file,
+// a failing test case per finding, a passing one for files without
+// findings and a skipped one per file left out of the review
+function toJUnit(analysis, { owner, repo, prNumber } = {}) {
+  const findings = sortFindings(analysisFindings(analysis));
+  const skipped = analysis.coverage ? analysis.coverage.skipped : [];
+  const name = owner && repo ? `${TOOL_NAME} ${owner}/${repo}#${prNumber}` : TOOL_NAME;
+  let tests = skipped.length;
+
+  const suites = reviewedFiles(analysis, findings).map(file => {
+    const fileFindings = findings.filter(finding => finding.file === file);
+    const cases = fileFindings.map(finding => {
+      const location = finding.line_end > finding.line_start
+        ? `${finding.file}:${finding.line_start}-${finding.line_end}`
+        : `${finding.file}:${finding.line_start}`;
+      return `    <testcase name="${escapeXml(`[${finding.severity}] ${finding.title} (line ${finding.line_start})`)}" classname="${escapeXml(ruleId(finding.category))}" file="${escapeXml(file)}" line="${finding.line_start}">\n` +
+        `      <failure message="${escapeXml(finding.title)}" type="${finding.severity}">${escapeXml(`${location}\n\n${findingText(finding)}`)}</failure>\n` +
+        '    </testcase>';
+    });
+    if (cases.length === 0) {
+      cases.push(`    <testcase name="No findings" classname="${escapeXml(file)}" file="${escapeXml(file)}"/>`);
+    }
+    tests += cases.length;
+
+    return `  <testsuite name="${escapeXml(file)}" tests="${cases.length}" failures="${fileFindings.length}" errors="0" skipped="0">\n${cases.join('\n')}\n  </testsuite>`;
+  });
+
+  if (skipped.length > 0) {
+    const cases = skipped.map(file => `    <testcase name="${escapeXml(file.filename)}" classname="skipped-files" file="${escapeXml(file.filename)}">\n      <skipped message="${escapeXml(file.reason)}"/>\n    </testcase>`);
+    suites.push(`  <testsuite name="Skipped files" tests="${skipped.length}" failures="0" errors="0" skipped="${skipped.length}">\n${cases.join('\n')}\n  </testsuite>`);
+  }
+
+  const time = analysis.timing ? analysis.timing.durationMs / 1000 : 0;
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="${escapeXml(name)}" tests="${tests}" failures="${findings.length}" errors="0" skipped="${skipped.length}" time="${time}">\n` +
+    (suites.length > 0 ? `${suites.join('\n')}\n` : '') +
+    '</testsuites>\n';
+}
+
+// Render an analysis in a named format (see FORMATS). Returns
+// { success, content, contentType, extension } or an error for unknown
+// formats.
+function exportAnalysis(analysis, format, context = {}) {
+  let content;
+  switch (format) {
+    case 'md':
+      content = analysis.review;
+      break;
+    case 'json':
+      content = JSON.stringify(analysis, null, 2);
+      break;
+    case 'sarif':
+      content = JSON.stringify(toSarif(analysis, context), null, 2);
+      break;
+    case 'junit':
+      content = toJUnit(analysis, context);
+      break;
+    default:
+      return { success: false, error: `Unknown export format "${format}" (use one of: ${EXPORT_FORMATS.join(', ')})` };
+  }
+
+  return { success: true, content, ...FORMATS[format] };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toSarif,
+  toJUnit,
+  exportAnalysis
+};
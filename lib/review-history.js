@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+const { SEVERITIES } = require('./review-schema');
+
+// Every finished analysis, persisted to a JSON file so reviews survive
+// restarts and can be compared across commits of a pull request
+class ReviewHistory {
+  constructor(filePath = process.env.REVIEW_HISTORY_FILE || 'review-history.json') {
+    this.filePath = path.resolve(filePath);
+    this.maxPerPR = parseInt(process.env.REVIEW_HISTORY_PER_PR, 10) || 50;
+    this.maxReviews = parseInt(process.env.REVIEW_HISTORY_MAX, 10) || 1000;
+    this.reviews = this.load();
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('⚠️  Failed to read review history:', error.message);
+      }
+      return [];
+    }
+  }
+
+  // Reviews hold private code, so only the server's user can read the
+  // file. Written atomically so a crash never leaves it half-written.
+  save() {
+    const tmpFile = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.reviews, null, 2), { mode: 0o600 });
+    fs.chmodSync(tmpFile, 0o600);
+    fs.renameSync(tmpFile, this.filePath);
+  }
+
+  samePR(review, owner, repo, prNumber) {
+    return review.owner.toLowerCase() === owner.toLowerCase() &&
+      review.repo.toLowerCase() === repo.toLowerCase() &&
+      (prNumber === undefined || review.prNumber === parseInt(prNumber, 10));
+  }
+
+  // Store a successful analysis. source is 'manual', 'webhook' or 'cli'.
+  add({ owner, repo, prNumber, source = 'manual', requestedBy = null, analysis }) {
+    const review = {
+      id: `review_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      owner,
+      repo,
+      prNumber: parseInt(prNumber, 10),
+      headSha: analysis.headSha,
+      baseSha: analysis.baseSha,
+      provider: analysis.provider,
+      model: analysis.model,
+      promptVersion: analysis.promptVersion,
+      source,
+      requestedBy,
+      timing: analysis.timing,
+      createdAt: new Date().toISOString(),
+      analysis
+    };
+
+    this.reviews.push(review);
+
+    // Drop the oldest reviews of this PR beyond the limit
+    const forPR = this.reviews.filter(existing => this.samePR(existing, owner, repo, prNumber));
+    if (forPR.length > this.maxPerPR) {
+      const dropped = new Set(forPR.slice(0, forPR.length - this.maxPerPR));
+      this.reviews = this.reviews.filter(existing => !dropped.has(existing));
+    }
+    // And the oldest reviews overall beyond the global limit
+    if (this.reviews.length > this.maxReviews) {
+      this.reviews = this.reviews.slice(this.reviews.length - this.maxReviews);
+    }
+
+    this.save();
+    return review;
+  }
+
+  get(id) {
+    return this.reviews.find(review => review.id === id) || null;
+  }
+
+  // The most recent review of a PR
+  latest(owner, repo, prNumber) {
+    const reviews = this.reviews.filter(review => this.samePR(review, owner, repo, prNumber));
+    return reviews[reviews.length - 1] || null;
+  }
+
+  // Summaries of a repository's reviews (or one PR's), newest first
+  list(owner, repo, prNumber) {
+    return this.reviews
+      .filter(review => this.samePR(review, owner, repo, prNumber))
+      .reverse()
+      .map(review => this.summarize(review));
+  }
+
+  // Findings still open after a review. Incremental reviews only report new
+  // findings in `structured` and keep the carried-over ones in openFindings.
+  openFindings(review) {
+    if (review.analysis.openFindings) return review.analysis.openFindings;
+    return review.analysis.structured ? review.analysis.structured.findings : [];
+  }
+
+  // A review without its full output, for listings
+  summarize(review) {
+    const findings = this.openFindings(review);
+
+    return {
+      id: review.id,
+      owner: review.owner,
+      repo: review.repo,
+      prNumber: review.prNumber,
+      title: review.analysis.pr ? review.analysis.pr.title : '',
+      headSha: review.headSha,
+      provider: review.provider,
+      model: review.model,
+      promptVersion: review.promptVersion,
+      source: review.source,
+      requestedBy: review.requestedBy,
+      timing: review.timing,
+      scope: review.analysis.scope || 'full',
+      createdAt: review.createdAt,
+      findings: SEVERITIES.reduce((counts, severity) => {
+        counts[severity] = findings.filter(finding => finding.severity === severity).length;
+        return counts;
+      }, {})
+    };
+  }
+
+  // Compare two reviews of the same PR. Findings are matched by file and
+  // title because line numbers move between commits.
+  compare(base, head) {
+    const key = finding => `${finding.file}::${finding.title.trim().toLowerCase()}`;
+    const baseFindings = this.openFindings(base);
+    const headFindings = this.openFindings(head);
+    const baseKeys = new Set(baseFindings.map(key));
+    const headKeys = new Set(headFindings.map(key));
+
+    return {
+      base: this.summarize(base),
+      head: this.summarize(head),
+      findings: {
+        added: headFindings.filter(finding => !baseKeys.has(key(finding))),
+        removed: baseFindings.filter(finding => !headKeys.has(key(finding))),
+        unchanged: headFindings.filter(finding => baseKeys.has(key(finding)))
+      }
+    };
+  }
+}
+
+module.exports = ReviewHistory;
@@ -0,0 +1,129 @@
+const { getCommentableLines } = require('./diff-chunker');
+
+const REVIEW_EVENTS = ['COMMENT', 'REQUEST_CHANGES', 'APPROVE'];
+
+class ReviewPublisher {
+  constructor(githubAPI, model) {
+    this.githubAPI = githubAPI;
+    this.model = model;
+  }
+
+  // Wrap review text with the AI reviewer header and footer
+  formatReview(reviewText) {
+    return `🤖 **AI Code Review** (Generated by AI GitHub PR Reviewer)
+
+${reviewText}
+
+---
+*This review was generated using local AI (${this.model}). Please use your judgment and verify suggestions.*`;
+  }
+
+  // Post the review as a single issue comment
+  async postComment(owner, repo, prNumber, reviewText) {
+    const result = await this.githubAPI.postPullRequestComment(owner, repo, prNumber, this.formatReview(reviewText));
+
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      comment: {
+        id: result.comment.id,
+        url: result.comment.html_url,
+        body: result.comment.body,
+        created_at: result.comment.created_at
+      }
+    };
+  }
+
+  // Split inline comments into those that point at lines in the diff and
+  // those GitHub would reject
+  async validateComments(owner, repo, prNumber, comments) {
+    const filesResult = await this.githubAPI.getPullRequestFiles(owner, repo, prNumber);
+    if (!filesResult.success) {
+      return filesResult;
+    }
+
+    const commentableLines = new Map(
+      filesResult.files.map(file => [file.filename, getCommentableLines(file.patch)])
+    );
+
+    const valid = [];
+    const invalid = [];
+
+    for (const comment of comments) {
+      const lines = commentableLines.get(comment.path);
+      let reason = null;
+
+      if (!comment.path || !comment.line || !comment.body) {
+        reason = 'Comment needs a path, line and body';
+      } else if (!lines) {
+        reason = 'File is not part of this pull request';
+      } else if (!lines.has(comment.line) || (comment.start_line && !lines.has(comment.start_line))) {
+        reason = 'Line is not part of the diff';
+      }
+
+      if (reason) {
+        invalid.push({ ...comment, reason });
+      } else {
+        valid.push(comment);
+      }
+    }
+
+    return { success: true, valid, invalid };
+  }
+
+  // Submit the review as a GitHub PR review with inline comments
+  async postInlineReview(owner, repo, prNumber, { reviewText, comments = [], event = 'COMMENT', commitId }) {
+    if (!REVIEW_EVENTS.includes(event)) {
+      return {
+        success: false,
+        error: `Invalid review event "${event}". Use one of: ${REVIEW_EVENTS.join(', ')}`
+      };
+    }
+
+    const validation = await this.validateComments(owner, repo, prNumber, comments);
+    if (!validation.success) {
+      return validation;
+    }
+
+    // Comments GitHub would reject are kept in the review body instead of being lost
+    let body = reviewText || '';
+    if (validation.invalid.length > 0) {
+      const outside = validation.invalid
+        .map(comment => `- \`${comment.path}:${comment.line}\` — ${comment.body}`)
+        .join('\n');
+      body += `\n\n### 📍 Comments outside the diff\n${outside}`;
+    }
+
+    const result = await this.githubAPI.createPullRequestReview(owner, repo, prNumber, {
+      body: this.formatReview(body),
+      event,
+      comments: validation.valid,
+      commitId
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      review: {
+        id: result.review.id,
+        url: result.review.html_url,
+        state: result.review.state,
+        submitted_at: result.review.submitted_at
+      },
+      comments: {
+        posted: validation.valid.length,
+        skipped: validation.invalid
+      }
+    };
+  }
+}
+
+ReviewPublisher.REVIEW_EVENTS = REVIEW_EVENTS;
+
+module.exports = ReviewPublisher;
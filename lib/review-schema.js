@@ -0,0 +1,253 @@
+// Structured review format: validation, JSON repair and markdown rendering
+
+const SEVERITIES = ['blocker', 'major', 'minor', 'nit'];
+const CATEGORIES = ['bug', 'security', 'perf', 'style', 'test'];
+
+// Common synonyms small models use instead of the allowed values
+const SEVERITY_ALIASES = {
+  critical: 'blocker',
+  high: 'major',
+  medium: 'minor',
+  low: 'nit',
+  info: 'nit'
+};
+
+const CATEGORY_ALIASES = {
+  performance: 'perf',
+  tests: 'test',
+  testing: 'test',
+  quality: 'style',
+  maintainability: 'style',
+  readability: 'style',
+  correctness: 'bug'
+};
+
+const SEVERITY_ICONS = {
+  blocker: '🛑',
+  major: '🔴',
+  minor: '🟡',
+  nit: '💬'
+};
+
+// Parse model output as JSON, repairing the usual mistakes
+// (code fences, text around the object, trailing commas, smart quotes)
+function parseJson(text) {
+  try {
+    return { success: true, data: JSON.parse(text), repaired: false };
+  } catch (error) {
+    // Fall through to repair
+  }
+
+  let candidate = (text || '')
+    .replace(/```(?:json)?/gi, '')
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'");
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return { success: false, error: 'Response does not contain a JSON object' };
+  }
+
+  candidate = candidate.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+
+  try {
+    return { success: true, data: JSON.parse(candidate), repaired: true };
+  } catch (error) {
+    return { success: false, error: `Malformed JSON: ${error.message}` };
+  }
+}
+
+function toLine(value) {
+  const line = parseInt(value, 10);
+  return Number.isInteger(line) && line > 0 ? line : null;
+}
+
+// Validate a parsed review. Values that only differ in case, type or by
+// a known synonym are normalized instead of rejected.
+function validateReview(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['Review must be a JSON object'] };
+  }
+
+  if (typeof data.summary !== 'string') errors.push('summary must be a string');
+  if (typeof data.assessment !== 'string') errors.push('assessment must be a string');
+  if (!Array.isArray(data.findings)) errors.push('findings must be an array');
+
+  const positives = Array.isArray(data.positives)
+    ? data.positives.filter(item => typeof item === 'string')
+    : [];
+
+  const findings = (Array.isArray(data.findings) ? data.findings : []).map((finding, index) => {
+    const path = `findings[${index}]`;
+    if (!finding || typeof finding !== 'object') {
+      errors.push(`${path} must be an object`);
+      return null;
+    }
+
+    const severityValue = String(finding.severity || '').toLowerCase();
+    const categoryValue = String(finding.category || '').toLowerCase();
+    const severity = SEVERITY_ALIASES[severityValue] || severityValue;
+    const category = CATEGORY_ALIASES[categoryValue] || categoryValue;
+    const lineStart = toLine(finding.line_start);
+    const lineEnd = toLine(finding.line_end) || lineStart;
+
+    if (typeof finding.file !== 'string' || !finding.file) errors.push(`${path}.file must be a non-empty string`);
+    if (!lineStart) errors.push(`${path}.line_start must be a positive integer`);
+    if (lineStart && lineEnd < lineStart) errors.push(`${path}.line_end must not be before line_start`);
+    if (!SEVERITIES.includes(severity)) errors.push(`${path}.severity must be one of: ${SEVERITIES.join(', ')}`);
+    if (!CATEGORIES.includes(category)) errors.push(`${path}.category must be one of: ${CATEGORIES.join(', ')}`);
+    if (typeof finding.title !== 'string' || !finding.title) errors.push(`${path}.title must be a non-empty string`);
+    if (typeof finding.message !== 'string') errors.push(`${path}.message must be a string`);
+
+    return {
+      file: finding.file,
+      line_start: lineStart,
+      line_end: lineEnd,
+      severity,
+      category,
+      title: finding.title,
+      message: finding.message,
+      suggestion: typeof finding.suggestion === 'string' ? finding.suggestion : ''
+    };
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    review: {
+      summary: data.summary,
+      positives,
+      findings,
+      assessment: data.assessment
+    }
+  };
+}
+
+// Order findings from most to least severe
+function sortFindings(findings) {
+  return [...findings].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+// Every open finding of an analysis: the review's findings (for incremental
+// reviews also the earlier ones that still apply) and the static analysis
+// tool findings
+function analysisFindings(analysis) {
+  const reviewFindings = analysis.openFindings || (analysis.structured ? analysis.structured.findings : []);
+  const toolFindings = analysis.staticAnalysis ? analysis.staticAnalysis.findings : [];
+  return [...reviewFindings, ...toolFindings];
+}
+
+function formatLocation(finding) {
+  return finding.line_end > finding.line_start
+    ? `${finding.file}:${finding.line_start}-${finding.line_end}`
+    : `${finding.file}:${finding.line_start}`;
+}
+
+// Render a structured review as markdown for comments and display
+function renderMarkdown(review) {
+  const sections = ['## 🔍 Code Review Summary', '', review.summary];
+
+  if (review.positives && review.positives.length > 0) {
+    sections.push('', '### ✅ Positive Aspects', ...review.positives.map(item => `- ${item}`));
+  }
+
+  sections.push('', `### ⚠️ Issues Found (${review.findings.length})`);
+  if (review.findings.length === 0) {
+    sections.push('- No issues found');
+  }
+
+  for (const finding of sortFindings(review.findings)) {
+    sections.push(
+      '',
+      `#### ${SEVERITY_ICONS[finding.severity]} [${finding.severity}] ${finding.title}`,
+      `\`${formatLocation(finding)}\` · ${finding.category}`,
+      '',
+      finding.message
+    );
+    if (finding.suggestion) {
+      sections.push('', `💡 **Suggested fix:** ${finding.suggestion}`);
+    }
+  }
+
+  sections.push('', '### 🎯 Overall Assessment', review.assessment);
+
+  return sections.join('\n');
+}
+
+// Render the status of earlier findings after an incremental review
+function renderPreviousFindings(previousFindings, sinceSha) {
+  const { resolved, stillApplies, unverified } = previousFindings;
+  const sections = ['', `### 🔁 Earlier Findings (since ${sinceSha.slice(0, 7)})`];
+  const line = finding => `- ${SEVERITY_ICONS[finding.severity]} **${finding.title}** \`${formatLocation(finding)}\`${finding.reason ? ` – ${finding.reason}` : ''}`;
+
+  if (resolved.length + stillApplies.length + unverified.length === 0) {
+    sections.push('- No earlier findings');
+  }
+  if (resolved.length > 0) {
+    sections.push('', `#### ✅ Resolved (${resolved.length})`, ...resolved.map(line));
+  }
+  if (stillApplies.length > 0) {
+    sections.push('', `#### ⚠️ Still Applies (${stillApplies.length})`, ...stillApplies.map(line));
+  }
+  if (unverified.length > 0) {
+    sections.push('', `#### ❔ Could Not Verify (${unverified.length})`, ...unverified.map(line));
+  }
+
+  return sections.join('\n');
+}
+
+// Render the diagnostics static analyzers reported on changed lines
+function renderToolFindings(findings) {
+  if (findings.length === 0) return '';
+
+  const sections = ['', '', `### 🔧 Tool-Verified Findings (${findings.length})`];
+  for (const finding of sortFindings(findings)) {
+    sections.push(`- ${SEVERITY_ICONS[finding.severity]} **${finding.title}** \`${formatLocation(finding)}\` – ${finding.message}`);
+  }
+  return sections.join('\n');
+}
+
+// Render the files that were left out of the review, with the reason
+function renderSkippedFiles(skipped) {
+  if (skipped.length === 0) return '';
+
+  return ['', '', `### ⏭️ Skipped Files (${skipped.length})`,
+    ...skipped.map(file => `- \`${file.filename}\` – ${file.reason}`)].join('\n');
+}
+
+// Turn findings into inline PR review comments
+function findingsToComments(findings) {
+  return sortFindings(findings).map(finding => {
+    let body = `${SEVERITY_ICONS[finding.severity]} **[${finding.severity}] ${finding.title}** (${finding.category})\n\n${finding.message}`;
+    if (finding.suggestion) {
+      body += `\n\n💡 **Suggested fix:** ${finding.suggestion}`;
+    }
+
+    const comment = { path: finding.file, line: finding.line_end, body };
+    if (finding.line_end > finding.line_start) {
+      comment.start_line = finding.line_start;
+    }
+    return comment;
+  });
+}
+
+module.exports = {
+  SEVERITIES,
+  CATEGORIES,
+  parseJson,
+  validateReview,
+  sortFindings,
+  analysisFindings,
+  renderMarkdown,
+  renderPreviousFindings,
+  renderToolFindings,
+  renderSkippedFiles,
+  findingsToComments
+};
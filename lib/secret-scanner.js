@@ -0,0 +1,178 @@
+// Deterministic scan of the added lines of a pull request for committed
+// secrets. Matches become blocker findings at the exact line and are
+// redacted from the patches before any of them reaches the model.
+
+// Token formats with a recognizable shape. Rules with minEntropy also need
+// a random-looking value, which keeps out placeholders and prose.
+const RULES = [
+  { id: 'aws-access-key-id', name: 'AWS access key ID', pattern: /\b((?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16})\b/g },
+  {
+    id: 'aws-secret-access-key',
+    name: 'AWS secret access key',
+    pattern: /aws.{0,20}?(?:secret|key).{0,20}?['"=:\s]([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi,
+    minEntropy: 4
+  },
+  { id: 'github-token', name: 'GitHub token', pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,255})\b/g },
+  { id: 'github-fine-grained-token', name: 'GitHub fine-grained token', pattern: /\b(github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { id: 'slack-token', name: 'Slack token', pattern: /\b(xox[abposr]-[A-Za-z0-9-]{10,250})\b/g },
+  { id: 'slack-webhook', name: 'Slack webhook URL', pattern: /(https:\/\/hooks\.slack\.com\/(?:services|workflows)\/[A-Za-z0-9/_-]{20,})/g },
+  { id: 'private-key', name: 'private key', pattern: /(-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----)/g },
+  { id: 'jwt', name: 'JSON Web Token', pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g },
+  {
+    id: 'generic-secret',
+    name: 'hard-coded secret',
+    pattern: /(?:secret|token|passw(?:or)?d|api[_-]?key|access[_-]?key|private[_-]?key|client[_-]?secret)[A-Za-z0-9_-]*["']?\s*[:=]\s*["'`]([^"'`\s]{16,})["'`]/gi,
+    minEntropy: 3.5,
+    skipPlaceholders: true
+  }
+];
+
+const PLACEHOLDER = /example|placeholder|your[_-]|changeme|dummy|sample|redacted|x{6,}|\*{6,}|<[^>]*>|\$\{|process\.env/i;
+
+const PRIVATE_KEY_END = /-----END (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----/;
+
+// Shannon entropy of a string in bits per character
+function entropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// Enough of a secret to recognize it in a finding, never the secret itself
+function mask(value) {
+  return `${value.slice(0, 4)}…(${value.length} chars)`;
+}
+
+const redaction = rule => `[REDACTED:${rule.id}]`;
+
+// Secrets in one added line: [{ rule, value }]
+function scanLine(text) {
+  const matches = [];
+
+  for (const rule of RULES) {
+    for (const match of text.matchAll(rule.pattern)) {
+      const value = match[1];
+      if (rule.minEntropy && entropy(value) < rule.minEntropy) continue;
+      if (rule.skipPlaceholders && PLACEHOLDER.test(value)) continue;
+      if (matches.some(existing => existing.value.includes(value) || value.includes(existing.value))) continue;
+      matches.push({ rule, value });
+    }
+  }
+
+  return matches;
+}
+
+function toFinding(filename, line, rule, value) {
+  return {
+    file: filename,
+    line_start: line,
+    line_end: line,
+    severity: 'blocker',
+    category: 'security',
+    title: `Possible ${rule.name} committed`,
+    message: `This line adds what looks like ${/^[aeiou]/i.test(rule.name) ? 'an' : 'a'} ${rule.name} (${mask(value)}, rule \`${rule.id}\`). ` +
+      'Anyone with read access to the repository can use it, and it stays in the git history.',
+    suggestion: 'Remove it, rotate the credential, and load it from the environment or a secret store instead.',
+    source: 'secret-scanner'
+  };
+}
+
+// Scan one file patch. Returns the findings and the patch with every match
+// (and the body of private keys) replaced by a [REDACTED:rule] marker.
+function scanPatch(filename, patch) {
+  const findings = [];
+  let newLine = 0;
+  let inPrivateKey = false;
+
+  const lines = patch.split('\n').map(line => {
+    if (line.startsWith('@@')) {
+      const match = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      newLine = match ? parseInt(match[1], 10) : newLine;
+      inPrivateKey = false;
+      return line;
+    }
+    if (line.startsWith('-') || line.startsWith('\\')) {
+      return line;
+    }
+
+    const lineNumber = newLine++;
+    if (!line.startsWith('+')) {
+      return line;
+    }
+
+    let text = line.slice(1);
+    if (inPrivateKey) {
+      inPrivateKey = !PRIVATE_KEY_END.test(text);
+      return `+${redaction(RULES.find(rule => rule.id === 'private-key'))}`;
+    }
+
+    for (const { rule, value } of scanLine(text)) {
+      findings.push(toFinding(filename, lineNumber, rule, value));
+      if (rule.id === 'private-key') {
+        inPrivateKey = !PRIVATE_KEY_END.test(text);
+        text = redaction(rule);
+        break;
+      }
+      text = text.split(value).join(redaction(rule));
+    }
+
+    return `+${text}`;
+  });
+
+  return { findings, patch: lines.join('\n') };
+}
+
+// Redact every secret in a text such as the contents of a file, which
+// also reaches the model as review context
+function redactText(text) {
+  let inPrivateKey = false;
+
+  return text.split('\n').map(line => {
+    if (inPrivateKey) {
+      inPrivateKey = !PRIVATE_KEY_END.test(line);
+      return redaction(RULES.find(rule => rule.id === 'private-key'));
+    }
+
+    for (const { rule, value } of scanLine(line)) {
+      if (rule.id === 'private-key') {
+        inPrivateKey = !PRIVATE_KEY_END.test(line);
+        return redaction(rule);
+      }
+      line = line.split(value).join(redaction(rule));
+    }
+    return line;
+  }).join('\n');
+}
+
+// Scan the added lines of PR files ({ filename, patch }). Returns the
+// findings and a copy of the files with redacted patches.
+function scanFiles(files) {
+  const findings = [];
+
+  const redacted = files.map(file => {
+    if (!file.patch) return file;
+
+    const result = scanPatch(file.filename, file.patch);
+    findings.push(...result.findings);
+    return result.findings.length > 0 ? { ...file, patch: result.patch } : file;
+  });
+
+  return { findings, files: redacted };
+}
+
+module.exports = {
+  RULES,
+  entropy,
+  scanLine,
+  scanPatch,
+  redactText,
+  scanFiles
+};
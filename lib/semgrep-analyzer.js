@@ -0,0 +1,80 @@
+const { execFile } = require('child_process');
+
+const StaticAnalyzer = require('./static-analyzer');
+
+// Semgrep levels as diagnostic levels
+const LEVELS = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+// Run a command and resolve to { code, stdout, stderr }; error is set when
+// it could not be started or timed out
+function run(command, args, { cwd, timeout }) {
+  return new Promise(resolve => {
+    execFile(command, args, { cwd, timeout, maxBuffer: 50 * 1024 * 1024 }, (error, stdout, stderr) => {
+      const failed = error && (typeof error.code !== 'number' || error.killed);
+      resolve({ code: error ? error.code : 0, stdout, stderr, error: failed ? error : null });
+    });
+  });
+}
+
+// The semgrep CLI (https://semgrep.dev) on the PATH. SEMGREP_CONFIG is
+// passed as --config: a registry ruleset such as p/default or a local
+// rules file.
+class SemgrepAnalyzer extends StaticAnalyzer {
+  constructor() {
+    super({ name: 'semgrep', label: 'Semgrep' });
+    this.command = process.env.SEMGREP_PATH || 'semgrep';
+    this.config = process.env.SEMGREP_CONFIG || 'p/default';
+  }
+
+  // Semgrep picks the rules by the file's language itself
+  supports(filename) {
+    return true;
+  }
+
+  async checkStatus() {
+    const result = await run(this.command, ['--version'], { timeout: 10000 });
+    if (result.error || result.code !== 0) {
+      return { available: false, error: `${this.command} is not installed or failed to start` };
+    }
+    return { available: true, version: result.stdout.trim() };
+  }
+
+  async analyze(files) {
+    return await this.withWorkspace(files, async dir => {
+      const result = await run(this.command, ['scan', '--config', this.config, '--json', '--quiet', '--metrics', 'off', '.'], {
+        cwd: dir,
+        timeout: this.timeoutMs
+      });
+
+      if (result.error) {
+        return { success: false, error: result.error.killed ? `Timed out after ${this.timeoutMs / 1000}s` : result.error.message };
+      }
+
+      let output;
+      try {
+        output = JSON.parse(result.stdout);
+      } catch (error) {
+        return { success: false, error: `Unexpected semgrep output (exit code ${result.code}): ${result.stderr.trim().split('\n').pop() || error.message}` };
+      }
+
+      const diagnostics = (output.results || []).map(item => ({
+        file: item.path.replace(/^\.\//, ''),
+        line: item.start.line,
+        endLine: item.end.line,
+        rule: item.check_id.split('.').pop(),
+        level: LEVELS[item.extra.severity] || 'warning',
+        category: item.extra.metadata && /security/i.test(item.extra.metadata.category || '') ? 'security' : 'bug',
+        message: item.extra.message,
+        suggestion: item.extra.fix || ''
+      }));
+
+      return { success: true, diagnostics };
+    });
+  }
+}
+
+module.exports = SemgrepAnalyzer;
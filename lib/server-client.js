@@ -0,0 +1,206 @@
+const axios = require('axios');
+
+// CLI backend that talks to a running reviewer server. Analyses run as
+// server jobs whose progress and output are followed over Server-Sent
+// Events. DirectClient has the same methods and runs everything in-process.
+class ServerClient {
+  constructor(baseURL) {
+    this.mode = 'server';
+    this.baseURL = baseURL.replace(/\/+$/, '');
+    this.sessionId = null;
+  }
+
+  get headers() {
+    return { 'Authorization': `Bearer ${this.sessionId}` };
+  }
+
+  describe() {
+    return `server ${this.baseURL}`;
+  }
+
+  async checkStatus() {
+    try {
+      await axios.get(`${this.baseURL}/health`);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: `Server ${this.baseURL} is not running. Please start the server with: npm start` };
+    }
+  }
+
+  // Reuse the session from an earlier run while the server still knows
+  // it; otherwise create one from the GitHub token
+  async connect({ token, readOnly = false, sessionId = null }) {
+    if (sessionId) {
+      this.sessionId = sessionId;
+      const user = await this.getUser();
+      if (user.success) {
+        return { success: true, sessionId, user: user.user };
+      }
+      if (user.status !== 401) {
+        return user;
+      }
+    }
+
+    try {
+      const response = await axios.post(`${this.baseURL}/auth/token`, { token, readOnly });
+      this.sessionId = response.data.sessionId;
+      return { success: true, sessionId: this.sessionId, user: response.data.user };
+    } catch (error) {
+      this.sessionId = null;
+      return failure(error);
+    }
+  }
+
+  async getUser() {
+    return await this.get('/api/user');
+  }
+
+  async getRepos() {
+    return await this.get('/api/repos');
+  }
+
+  async getPulls(owner, repo) {
+    return await this.get(`/api/repos/${owner}/${repo}/pulls`);
+  }
+
+  async getLLMStatus() {
+    try {
+      const response = await axios.get(`${this.baseURL}/api/llm/status`);
+      return { success: true, status: response.data };
+    } catch (error) {
+      return failure(error);
+    }
+  }
+
+  // Run an analysis job on the server and wait for its result. Aborting
+  // the signal cancels the job on the server.
+  async analyze(owner, repo, prNumber, { incremental = false, model, signal, onProgress = () => {}, onToken = () => {} } = {}) {
+    let jobId;
+    try {
+      const response = await axios.post(`${this.baseURL}/api/jobs`, {
+        owner,
+        repo,
+        prNumber,
+        incremental,
+        ...(model ? { model } : {})
+      }, { headers: this.headers });
+      jobId = response.data.job.id;
+    } catch (error) {
+      return failure(error);
+    }
+
+    try {
+      await this.followJobEvents(jobId, { signal, onProgress, onToken });
+
+      const response = await axios.get(`${this.baseURL}/api/jobs/${jobId}/result`, { headers: this.headers });
+      return { success: true, analysis: response.data.analysis };
+    } catch (error) {
+      return failure(error);
+    }
+  }
+
+  // Follow the job's Server-Sent Events stream until the job has finished
+  async followJobEvents(jobId, { signal, onProgress, onToken }) {
+    const response = await axios.get(`${this.baseURL}/api/jobs/${jobId}/events`, {
+      headers: this.headers,
+      responseType: 'stream'
+    });
+    const stream = response.data;
+
+    const handleEvent = (event, data) => {
+      if (event === 'token') {
+        onToken(data.text);
+      } else if (event === 'snapshot' && data.output) {
+        onToken(data.output);
+      } else if (data.job) {
+        onProgress({ ...data.job.progress, position: data.job.position });
+      }
+    };
+
+    const onAbort = async () => {
+      await axios.delete(`${this.baseURL}/api/jobs/${jobId}`, { headers: this.headers }).catch(() => {});
+      stream.destroy();
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    let buffer = '';
+    try {
+      await new Promise((resolve, reject) => {
+        stream.on('data', chunk => {
+          buffer += chunk.toString();
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+
+          for (const block of blocks) {
+            let event = 'message';
+            let data = '';
+            for (const line of block.split('\n')) {
+              if (line.startsWith('event: ')) event = line.slice(7);
+              if (line.startsWith('data: ')) data += line.slice(6);
+            }
+            if (!data) continue;
+
+            if (event === 'done') {
+              stream.destroy();
+              resolve();
+              return;
+            }
+            handleEvent(event, JSON.parse(data));
+          }
+        });
+        stream.on('end', resolve);
+        stream.on('close', resolve);
+        stream.on('error', reject);
+      });
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // Post a review: mode "comment" or "review" as for /api/post-review
+  async postReview(payload) {
+    try {
+      const response = await axios.post(`${this.baseURL}/api/post-review`, payload, { headers: this.headers });
+      return response.data;
+    } catch (error) {
+      return failure(error);
+    }
+  }
+
+  // End the session; the server also revokes OAuth tokens it issued
+  async logout() {
+    if (!this.sessionId) {
+      return { success: true };
+    }
+
+    try {
+      const response = await axios.post(`${this.baseURL}/logout`, {}, { headers: this.headers });
+      this.sessionId = null;
+      return response.data;
+    } catch (error) {
+      return failure(error);
+    }
+  }
+
+  async get(route) {
+    try {
+      const response = await axios.get(`${this.baseURL}${route}`, { headers: this.headers });
+      return response.data;
+    } catch (error) {
+      return failure(error);
+    }
+  }
+}
+
+// An axios error as a { success: false } result, keeping the server's
+// status, message and suggestion
+function failure(error) {
+  return {
+    success: false,
+    status: error.response?.status,
+    error: error.response?.data?.error || error.message,
+    suggestion: error.response?.data?.suggestion
+  };
+}
+
+module.exports = ServerClient;
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TokenCipher = require('./token-cipher');
+
+// Login sessions with server-side expiry. The GitHub token of each session
+// is encrypted before it is stored. This base class keeps sessions in
+// memory; FileSessionStore and RedisSessionStore persist them. All methods
+// are async so the stores are interchangeable.
+class SessionStore {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || (parseFloat(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    this.sweepIntervalMs = options.sweepIntervalMs || (parseFloat(process.env.SESSION_SWEEP_MINUTES) || 10) * 60 * 1000;
+    this.cipher = options.cipher || new TokenCipher();
+    this.sessions = new Map();
+    this.sweeper = null;
+  }
+
+  // Create a session for an authenticated user and return its id.
+  // Read-only sessions may not post to GitHub.
+  async create({ token, user, scope = null, readOnly = false }) {
+    const id = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+
+    await this.write(id, {
+      token: this.cipher.encrypt(token),
+      user,
+      scope,
+      readOnly,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString()
+    });
+
+    return id;
+  }
+
+  // The session with its decrypted token, or null when it does not exist,
+  // has expired or cannot be decrypted (e.g. SESSION_SECRET changed)
+  async get(id) {
+    if (!id) return null;
+
+    const entry = await this.read(id);
+    if (!entry) return null;
+
+    const token = this.isExpired(entry) ? null : this.cipher.decrypt(entry.token);
+    if (!token) {
+      await this.destroy(id);
+      return null;
+    }
+
+    return {
+      id,
+      token,
+      user: entry.user,
+      scope: entry.scope || null,
+      readOnly: Boolean(entry.readOnly),
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt
+    };
+  }
+
+  async destroy(id) {
+    this.sessions.delete(id);
+  }
+
+  isExpired(entry) {
+    return new Date(entry.expiresAt).getTime() <= Date.now();
+  }
+
+  // Remove expired sessions; returns how many were removed
+  async sweep() {
+    let removed = 0;
+    for (const [id, entry] of this.sessions) {
+      if (this.isExpired(entry)) {
+        this.sessions.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Run sweep() periodically without keeping the process alive
+  startSweeper() {
+    if (this.sweeper) return;
+
+    this.sweeper = setInterval(async () => {
+      try {
+        const removed = await this.sweep();
+        if (removed > 0) {
+          console.log(`🧹 Removed ${removed} expired session${removed === 1 ? '' : 's'}`);
+        }
+      } catch (error) {
+        console.error('⚠️  Session sweep failed:', error.message);
+      }
+    }, this.sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+  }
+
+  async read(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  async write(id, entry) {
+    this.sessions.set(id, entry);
+  }
+}
+
+// Sessions persisted to a JSON file (readable only by the server's user).
+// The file holds SHA-256 hashes of the session ids, so a copy of it cannot
+// be replayed as session cookies.
+class FileSessionStore extends SessionStore {
+  constructor(options = {}) {
+    super(options);
+    this.filePath = path.resolve(options.filePath || process.env.SESSION_STORE_FILE || 'sessions.json');
+    this.sessions = new Map(Object.entries(this.load()));
+  }
+
+  static key(id) {
+    return crypto.createHash('sha256').update(id).digest('hex');
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data.hashedIds) {
+        return data.sessions;
+      }
+      // Files written before the ids were hashed
+      return Object.fromEntries(Object.entries(data).map(([id, entry]) => [FileSessionStore.key(id), entry]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('⚠️  Failed to read sessions:', error.message);
+      }
+      return {};
+    }
+  }
+
+  save() {
+    const tmpFile = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ hashedIds: true, sessions: Object.fromEntries(this.sessions) }, null, 2), { mode: 0o600 });
+    fs.chmodSync(tmpFile, 0o600);
+    fs.renameSync(tmpFile, this.filePath);
+  }
+
+  async read(id) {
+    return super.read(FileSessionStore.key(id));
+  }
+
+  async write(id, entry) {
+    await super.write(FileSessionStore.key(id), entry);
+    this.save();
+  }
+
+  async destroy(id) {
+    if (this.sessions.delete(FileSessionStore.key(id))) {
+      this.save();
+    }
+  }
+
+  async sweep() {
+    const removed = await super.sweep();
+    if (removed > 0) {
+      this.save();
+    }
+    return removed;
+  }
+}
+
+// Sessions stored in Redis with a key TTL, so Redis expires them itself.
+// Needs the optional "redis" package: npm install redis
+class RedisSessionStore extends SessionStore {
+  constructor(options = {}) {
+    super(options);
+    this.prefix = options.prefix || process.env.SESSION_REDIS_PREFIX || 'ai-pr-reviewer:session:';
+
+    let redis;
+    try {
+      redis = require('redis');
+    } catch (error) {
+      throw new Error('SESSION_STORE=redis needs the redis package. Run: npm install redis');
+    }
+
+    this.client = redis.createClient({ url: options.url || process.env.REDIS_URL || 'redis://localhost:6379' });
+    this.client.on('error', error => console.error('⚠️  Redis session store error:', error.message));
+    this.ready = this.client.connect();
+  }
+
+  async read(id) {
+    await this.ready;
+    const value = await this.client.get(this.prefix + id);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async write(id, entry) {
+    await this.ready;
+    await this.client.set(this.prefix + id, JSON.stringify(entry), { PX: this.ttlMs });
+  }
+
+  async destroy(id) {
+    await this.ready;
+    await this.client.del(this.prefix + id);
+  }
+
+  // Redis drops expired keys on its own
+  async sweep() {
+    return 0;
+  }
+
+  async close() {
+    await super.close();
+    await this.client.quit();
+  }
+}
+
+const STORES = {
+  memory: SessionStore,
+  file: FileSessionStore,
+  redis: RedisSessionStore
+};
+
+// Create the store named by SESSION_STORE (memory, file or redis)
+function createSessionStore(type = process.env.SESSION_STORE || 'file', options = {}) {
+  const Store = STORES[type.toLowerCase()];
+  if (!Store) {
+    throw new Error(`Unknown SESSION_STORE "${type}". Use one of: ${Object.keys(STORES).join(', ')}`);
+  }
+  return new Store(options);
+}
+
+module.exports = {
+  SessionStore,
+  FileSessionStore,
+  RedisSessionStore,
+  createSessionStore
+};
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Review severities of the diagnostic levels tools report
+const SEVERITY_OF_LEVEL = {
+  error: 'major',
+  warning: 'minor',
+  info: 'nit'
+};
+
+// Base class of the static analyzers. Analyzers get the full contents of
+// the changed files at the PR head and report diagnostics anywhere in
+// them; the analysis stage keeps those on changed lines. Subclasses
+// implement supports, checkStatus and analyze.
+class StaticAnalyzer {
+  constructor(options = {}) {
+    this.name = options.name;
+    this.label = options.label || options.name;
+    this.timeoutMs = (parseInt(process.env.STATIC_ANALYSIS_TIMEOUT_SECONDS, 10) || 60) * 1000;
+  }
+
+  // Whether the analyzer can check a file
+  supports(filename) {
+    return false;
+  }
+
+  // Whether the tool is installed. Resolves to { available, error? }
+  async checkStatus() {
+    return { available: false, error: `${this.label} does not implement checkStatus` };
+  }
+
+  // Check files ({ filename, content }). Resolves to { success, diagnostics }
+  // with diagnostics { file, line, endLine, rule, level, message,
+  // category?, suggestion? }; level is error, warning or info.
+  async analyze(files) {
+    return { success: false, error: `${this.label} does not implement analyze` };
+  }
+
+  // Write the files to a temporary directory for tools that read from
+  // disk, call fn with its path and remove it afterwards
+  async withWorkspace(files, fn) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `ai-pr-reviewer-${this.name}-`));
+    try {
+      for (const file of files) {
+        const target = path.join(dir, file.filename);
+        // Keep hostile file names from writing outside the workspace
+        if (!target.startsWith(dir + path.sep)) continue;
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(target, file.content);
+      }
+      return await fn(dir);
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  // A diagnostic as a review finding
+  toFinding(diagnostic) {
+    return {
+      file: diagnostic.file,
+      line_start: diagnostic.line,
+      line_end: Math.max(diagnostic.endLine || diagnostic.line, diagnostic.line),
+      severity: SEVERITY_OF_LEVEL[diagnostic.level] || 'minor',
+      category: diagnostic.category || 'bug',
+      title: `${diagnostic.rule} (${this.label})`,
+      message: diagnostic.message,
+      suggestion: diagnostic.suggestion || '',
+      tool: this.name,
+      rule: diagnostic.rule
+    };
+  }
+
+  // Public description of the analyzer for status routes
+  describe() {
+    return { name: this.name, label: this.label };
+  }
+}
+
+module.exports = StaticAnalyzer;
@@ -0,0 +1,42 @@
+const BuiltinAnalyzer = require('./builtin-analyzer');
+const ESLintAnalyzer = require('./eslint-analyzer');
+const SemgrepAnalyzer = require('./semgrep-analyzer');
+
+// Available static analyzers by the name used in STATIC_ANALYZERS
+const ANALYZERS = {
+  builtin: BuiltinAnalyzer,
+  eslint: ESLintAnalyzer,
+  semgrep: SemgrepAnalyzer
+};
+
+function analyzerNames() {
+  return Object.keys(ANALYZERS);
+}
+
+function isAnalyzer(name) {
+  return Object.prototype.hasOwnProperty.call(ANALYZERS, name);
+}
+
+// Names listed in STATIC_ANALYZERS (comma-separated, default builtin;
+// "none" turns the stage off)
+function configuredAnalyzerNames() {
+  const value = (process.env.STATIC_ANALYZERS || 'builtin').toLowerCase();
+  return value.split(',').map(name => name.trim()).filter(name => name && name !== 'none');
+}
+
+// Create the configured analyzers. Unknown names are reported in
+// `unknown` instead of failing.
+function createAnalyzers(names = configuredAnalyzerNames()) {
+  return {
+    analyzers: names.filter(isAnalyzer).map(name => new ANALYZERS[name]()),
+    unknown: names.filter(name => !isAnalyzer(name))
+  };
+}
+
+module.exports = {
+  ANALYZERS,
+  analyzerNames,
+  isAnalyzer,
+  configuredAnalyzerNames,
+  createAnalyzers
+};
@@ -0,0 +1,130 @@
+// Reads the gzipped tar archives GitHub serves for a repository at a ref
+
+const zlib = require('zlib');
+
+const BLOCK = 512;
+
+// A NUL-terminated string field of a header
+function field(header, offset, length) {
+  const value = header.subarray(offset, offset + length);
+  const end = value.indexOf(0);
+  return value.subarray(0, end === -1 ? value.length : end).toString('utf8');
+}
+
+// Path from the records of a pax extended header ("<length> path=<value>\n")
+function paxPath(data) {
+  const text = data.toString('utf8');
+  for (let offset = 0; offset < text.length;) {
+    const space = text.indexOf(' ', offset);
+    const length = parseInt(text.slice(offset, space), 10);
+    if (!length) break;
+
+    const record = text.slice(space + 1, offset + length - 1);
+    if (record.startsWith('path=')) return record.slice(5);
+    offset += length;
+  }
+  return null;
+}
+
+// The regular files of a .tar.gz archive: [{ path, content }], with the
+// top-level directory GitHub wraps the repository in removed from paths.
+// The archive is inflated as a stream and only the files filter(path,
+// size) accepts are kept, so the unpacked archive is never in memory at
+// once; it fails when it inflates to more than maxBytes.
+function readTarball(archive, { filter = () => true, maxBytes = Infinity } = {}) {
+  return new Promise((resolve, reject) => {
+    const gunzip = zlib.createGunzip();
+    const files = [];
+    let buffered = Buffer.alloc(0);
+    let inflated = 0;
+    let longPath = null;
+    let entry = null;
+    let finished = false;
+
+    const finish = error => {
+      if (finished) return;
+      finished = true;
+      gunzip.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(files);
+      }
+    };
+
+    // The entry a header block starts; pax and GNU long name entries are
+    // read for the path of the entry after them
+    const startEntry = header => {
+      const size = parseInt(field(header, 124, 12).trim() || '0', 8);
+      const type = String.fromCharCode(header[156] || 48);
+      const next = { type, size, padded: Math.ceil(size / BLOCK) * BLOCK, read: 0, chunks: [], keep: false };
+
+      if (type === 'x' || type === 'L') {
+        next.keep = true;
+        return next;
+      }
+
+      const prefix = field(header, 345, 155);
+      const name = longPath || (prefix ? `${prefix}/${field(header, 0, 100)}` : field(header, 0, 100));
+      longPath = null;
+
+      if (type === '0' || type === '7') {
+        next.path = name.split('/').slice(1).join('/');
+        next.keep = Boolean(next.path) && filter(next.path, size);
+      }
+      return next;
+    };
+
+    const endEntry = () => {
+      const data = Buffer.concat(entry.chunks);
+      if (entry.type === 'x') {
+        longPath = paxPath(data);
+      } else if (entry.type === 'L') {
+        longPath = field(data, 0, data.length);
+      } else if (entry.keep) {
+        files.push({ path: entry.path, content: data });
+      }
+      entry = null;
+    };
+
+    const consume = () => {
+      while (!finished) {
+        if (!entry) {
+          if (buffered.length < BLOCK) return;
+          const header = buffered.subarray(0, BLOCK);
+          buffered = buffered.subarray(BLOCK);
+          if (header.every(byte => byte === 0)) return finish();
+          entry = startEntry(header);
+          continue;
+        }
+
+        const take = Math.min(buffered.length, entry.padded - entry.read);
+        if (entry.keep && entry.read < entry.size) {
+          entry.chunks.push(buffered.subarray(0, Math.min(take, entry.size - entry.read)));
+        }
+        entry.read += take;
+        buffered = buffered.subarray(take);
+
+        if (entry.read < entry.padded) return;
+        endEntry();
+      }
+    };
+
+    gunzip.on('data', chunk => {
+      if (finished) return;
+      inflated += chunk.length;
+      if (inflated > maxBytes) {
+        return finish(new Error(`the archive is larger than ${Math.round(maxBytes / (1024 * 1024))} MB unpacked`));
+      }
+      buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+      consume();
+    });
+    gunzip.on('end', () => finish());
+    gunzip.on('error', error => finish(error));
+    gunzip.end(archive);
+  });
+}
+
+module.exports = {
+  readTarball
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+// Encrypts secrets (GitHub tokens) at rest with AES-256-GCM. The key is
+// derived from SESSION_SECRET; without one a random key is used, so stored
+// secrets cannot be read after a restart.
+class TokenCipher {
+  constructor(secret = process.env.SESSION_SECRET) {
+    this.ephemeral = !secret;
+    const keyMaterial = secret || crypto.randomBytes(32).toString('hex');
+    this.key = crypto.scryptSync(keyMaterial, 'ai-github-pr-reviewer', 32);
+  }
+
+  // Returns "v1:<iv>:<auth tag>:<ciphertext>" in base64 parts
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [VERSION, iv, cipher.getAuthTag(), encrypted]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+      .join(':');
+  }
+
+  // Returns the plaintext, or null when the value was not encrypted with this key
+  decrypt(value) {
+    const [version, iv, tag, encrypted] = String(value || '').split(':');
+    if (version !== VERSION || !iv || !tag || encrypted === undefined) {
+      return null;
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(encrypted, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = TokenCipher;
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+// Vectors are stored as base64 float32 arrays, much smaller than JSON
+// number arrays
+const encodeVector = vector => Buffer.from(new Float32Array(vector).buffer).toString('base64');
+
+function decodeVector(text) {
+  const buffer = Buffer.from(text, 'base64');
+  // Copied, since small Buffers share a pool and need not be 4-byte aligned
+  return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+function normalize(vector) {
+  let length = 0;
+  for (const value of vector) length += value * value;
+  length = Math.sqrt(length) || 1;
+  return Float32Array.from(vector, value => value / length);
+}
+
+// Local store of code index entries: one JSON file per repository in a
+// directory, with text chunks and their embedding vectors. Search is a
+// brute-force cosine similarity scan, fast enough for a repository's
+// worth of chunks. The most recently used indexes are kept in memory.
+class VectorStore {
+  constructor(dir = process.env.CODE_INDEX_DIR || 'code-index', { maxLoaded } = {}) {
+    this.dir = path.resolve(dir);
+    this.maxLoaded = maxLoaded || parseInt(process.env.CODE_INDEX_CACHED, 10) || 2;
+    this.loaded = new Map();
+  }
+
+  // Keep an index in memory as the most recently used one, dropping the
+  // least recently used beyond maxLoaded
+  remember(file, entry) {
+    this.loaded.delete(file);
+    this.loaded.set(file, entry);
+    while (this.loaded.size > this.maxLoaded) {
+      this.loaded.delete(this.loaded.keys().next().value);
+    }
+  }
+
+  fileFor(owner, repo) {
+    return path.join(this.dir, `${owner.toLowerCase()}__${repo.toLowerCase()}.json`);
+  }
+
+  // The stored index of a repository, or null: { owner, repo, ...meta,
+  // chunks: [{ file, start, end, hash, text, vector }] } with unit vectors
+  load(owner, repo) {
+    const file = this.fileFor(owner, repo);
+    let mtime;
+    try {
+      mtime = fs.statSync(file).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+
+    const cached = this.loaded.get(file);
+    if (cached && cached.mtime === mtime) {
+      this.remember(file, cached);
+      return cached.index;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const index = { ...data, chunks: data.chunks.map(chunk => ({ ...chunk, vector: decodeVector(chunk.vector) })) };
+      this.remember(file, { mtime, index });
+      return index;
+    } catch (error) {
+      console.error(`⚠️  Failed to read the code index of ${owner}/${repo}:`, error.message);
+      return null;
+    }
+  }
+
+  // Replace the index of a repository. The file holds source code, so only
+  // the server's user can read it.
+  save(index) {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+
+    const file = this.fileFor(index.owner, index.repo);
+    const chunks = index.chunks.map(chunk => ({ ...chunk, vector: normalize(chunk.vector) }));
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ ...index, chunks: chunks.map(chunk => ({ ...chunk, vector: encodeVector(chunk.vector) })) }), { mode: 0o600 });
+    fs.renameSync(temp, file);
+
+    this.remember(file, { mtime: fs.statSync(file).mtimeMs, index: { ...index, chunks } });
+  }
+
+  // The k chunks most similar to a vector with at least minScore cosine
+  // similarity; filter can exclude chunks. Returns [{ chunk, score }].
+  search(index, vector, { k = 3, minScore = 0, filter = () => true } = {}) {
+    const query = normalize(vector);
+    const results = [];
+
+    for (const chunk of index.chunks) {
+      if (!filter(chunk) || chunk.vector.length !== query.length) continue;
+
+      let score = 0;
+      for (let i = 0; i < query.length; i++) score += query[i] * chunk.vector[i];
+      if (score >= minScore) results.push({ chunk, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+}
+
+module.exports = VectorStore;
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const GitHubAPI = require('./github-api');
+const ReviewPublisher = require('./review-publisher');
+
+// pull_request actions that trigger an automatic review
+const PR_ACTIONS = ['opened', 'synchronize', 'reopened'];
+
+// Verify the X-Hub-Signature-256 header against the raw request body
+function verifySignature(secret, rawBody, signature) {
+  if (!secret || !rawBody || !signature || !signature.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+// Runs automatic reviews for GitHub pull_request webhook deliveries.
+// Reviews are fetched and posted as the GitHub App's bot when an app is
+// configured, otherwise with GITHUB_WEBHOOK_TOKEN. Reviews waiting for
+// approval are persisted to a JSON file so they survive restarts.
+class WebhookHandler {
+  constructor({ analyzer, settings, jobs, app, pendingFile = process.env.PENDING_REVIEWS_FILE || 'pending-reviews.json' }) {
+    this.secret = process.env.GITHUB_WEBHOOK_SECRET;
+    this.token = process.env.GITHUB_WEBHOOK_TOKEN;
+    this.app = app;
+    this.analyzer = analyzer;
+    this.settings = settings;
+    this.jobs = jobs;
+    this.pendingFile = path.resolve(pendingFile);
+    this.pendingReviews = this.loadPending();
+  }
+
+  loadPending() {
+    try {
+      const reviews = JSON.parse(fs.readFileSync(this.pendingFile, 'utf8'));
+      return new Map(reviews.map(pending => [pending.id, pending]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('⚠️  Failed to read pending reviews:', error.message);
+      }
+      return new Map();
+    }
+  }
+
+  // Pending reviews hold code from private repositories, so only the
+  // server's user can read the file
+  savePending() {
+    fs.writeFileSync(this.pendingFile, JSON.stringify([...this.pendingReviews.values()], null, 2), { mode: 0o600 });
+  }
+
+  verifySignature(rawBody, signature) {
+    return verifySignature(this.secret, rawBody, signature);
+  }
+
+  // Whether the server has credentials of its own
+  get canAct() {
+    return Boolean((this.app && this.app.configured) || this.token);
+  }
+
+  // A GitHubAPI client acting for the server: the app installation of the
+  // repository, or GITHUB_WEBHOOK_TOKEN
+  async githubAPIFor(owner, repo, installationId) {
+    if (this.app && this.app.configured) {
+      const result = await this.app.getTokenForRepo(owner, repo, installationId);
+      if (!result.success) {
+        return { success: false, error: `GitHub App authentication failed: ${result.error}` };
+      }
+      return { success: true, githubAPI: new GitHubAPI(result.token), identity: 'app' };
+    }
+
+    if (this.token) {
+      return { success: true, githubAPI: new GitHubAPI(this.token), identity: 'token' };
+    }
+
+    return { success: false, error: 'Configure a GitHub App or GITHUB_WEBHOOK_TOKEN' };
+  }
+
+  // Decide what to do with a delivery and queue a review when needed.
+  // Returns the HTTP status and body for the webhook response.
+  handle(event, payload, deliveryId) {
+    if (event === 'ping') {
+      return { status: 200, body: { success: true, message: 'pong' } };
+    }
+
+    if (event !== 'pull_request' || !PR_ACTIONS.includes(payload.action)) {
+      return { status: 202, body: { success: true, ignored: true, reason: `Event ${event}.${payload.action || ''} is not handled` } };
+    }
+
+    const owner = payload.repository.owner.login;
+    const repo = payload.repository.name;
+    const prNumber = payload.pull_request.number;
+
+    if (payload.pull_request.draft) {
+      return { status: 202, body: { success: true, ignored: true, reason: 'Draft pull requests are not reviewed' } };
+    }
+
+    if (!this.settings.get(owner, repo).autoReview) {
+      return { status: 202, body: { success: true, ignored: true, reason: `Automatic reviews are disabled for ${owner}/${repo}` } };
+    }
+
+    if (!this.canAct) {
+      return { status: 503, body: { success: false, error: 'Neither a GitHub App nor GITHUB_WEBHOOK_TOKEN is configured' } };
+    }
+
+    console.log(`📬 Webhook ${deliveryId}: queueing review of ${owner}/${repo}#${prNumber} (${payload.action})`);
+    const job = this.jobs.add(
+      'webhook-review',
+      ({ signal, progress }) => this.process({
+        owner, repo, prNumber, deliveryId, action: payload.action, installationId: payload.installation && payload.installation.id
+      }, { signal, progress }),
+      { owner, repo, prNumber, deliveryId }
+    );
+
+    return { status: 202, body: { success: true, queued: true, jobId: job.id, pr: `${owner}/${repo}#${prNumber}` } };
+  }
+
+  // Analyze the PR, then post the review or keep it for approval.
+  // Pushes to a PR are reviewed incrementally when the repo opts in.
+  async process({ owner, repo, prNumber, deliveryId, action, installationId }, { signal, progress }) {
+    // Settings may have changed while the job was queued
+    if (!this.settings.get(owner, repo).autoReview) {
+      return { success: false, error: `Automatic reviews are disabled for ${owner}/${repo}` };
+    }
+
+    const client = await this.githubAPIFor(owner, repo, installationId);
+    if (!client.success) {
+      console.error(`❌ Webhook review of ${owner}/${repo}#${prNumber} failed:`, client.error);
+      return client;
+    }
+
+    const { githubAPI } = client;
+    const incremental = action === 'synchronize' && this.settings.get(owner, repo).incremental;
+    const result = await this.analyzer.analyze(githubAPI, { owner, repo, prNumber, signal, onProgress: progress, source: 'webhook', incremental });
+
+    if (!result.success) {
+      console.error(`❌ Webhook review of ${owner}/${repo}#${prNumber} failed:`, result.error);
+      return result;
+    }
+
+    const settings = this.settings.get(owner, repo);
+    const pending = {
+      id: `review_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      owner,
+      repo,
+      prNumber,
+      deliveryId,
+      installationId,
+      headSha: result.analysis.headSha,
+      analysis: result.analysis,
+      postMode: settings.postMode,
+      event: settings.event,
+      createdAt: new Date().toISOString()
+    };
+
+    if (settings.autoPost) {
+      progress({ stage: 'posting' });
+      const posted = await this.publish(githubAPI, pending);
+      if (posted.success) {
+        console.log(`✅ Webhook review posted to ${owner}/${repo}#${prNumber}`);
+      } else {
+        console.error(`❌ Failed to post webhook review to ${owner}/${repo}#${prNumber}:`, posted.error);
+      }
+      return posted;
+    }
+
+    // Keep only the newest review of each PR waiting for approval
+    for (const [id, existing] of this.pendingReviews) {
+      if (existing.owner === owner && existing.repo === repo && existing.prNumber === prNumber) {
+        this.pendingReviews.delete(id);
+      }
+    }
+    this.pendingReviews.set(pending.id, pending);
+    this.savePending();
+    console.log(`🗂️  Webhook review of ${owner}/${repo}#${prNumber} stored for approval (${pending.id})`);
+    return { success: true, pendingReviewId: pending.id };
+  }
+
+  // Post a review using the repository's posting mode
+  async publish(githubAPI, pending) {
+    const publisher = new ReviewPublisher(githubAPI, pending.analysis.model);
+
+    if (pending.postMode === 'comment') {
+      return await publisher.postComment(pending.owner, pending.repo, pending.prNumber, pending.analysis.review);
+    }
+
+    return await publisher.postInlineReview(pending.owner, pending.repo, pending.prNumber, {
+      reviewText: pending.analysis.review,
+      comments: pending.analysis.comments,
+      event: pending.event,
+      commitId: pending.headSha
+    });
+  }
+
+  listPending(owner, repo) {
+    const key = `${owner}/${repo}`.toLowerCase();
+    return [...this.pendingReviews.values()]
+      .filter(pending => `${pending.owner}/${pending.repo}`.toLowerCase() === key);
+  }
+
+  getPending(id) {
+    return this.pendingReviews.get(id);
+  }
+
+  removePending(id) {
+    const removed = this.pendingReviews.delete(id);
+    if (removed) {
+      this.savePending();
+    }
+    return removed;
+  }
+}
+
+WebhookHandler.verifySignature = verifySignature;
+
+module.exports = WebhookHandler;
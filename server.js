@@ -2,29 +2,72 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
 
 const GitHubOAuth = require('./lib/github-oauth');
 const GitHubAPI = require('./lib/github-api');
-const OllamaLLM = require('./lib/ollama-llm');
+const { createProvider, defaultProviderName, isProvider, providerNames } = require('./lib/llm-providers');
+const ReviewPublisher = require('./lib/review-publisher');
+const PRAnalyzer = require('./lib/pr-analyzer');
+const RepoSettings = require('./lib/repo-settings');
+const WebhookHandler = require('./lib/webhook-handler');
+const GitHubApp = require('./lib/github-app');
+const JobQueue = require('./lib/job-queue');
+const { createSessionStore } = require('./lib/session-store');
+const ReviewHistory = require('./lib/review-history');
+const { exportAnalysis } = require('./lib/review-exporters');
+const CodeIndex = require('./lib/code-index');
+const VectorStore = require('./lib/vector-store');
+const { createEmbeddingProvider, defaultEmbeddingProviderName, embeddingProviderNames } = require('./lib/embedding-providers');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Initialize services
 const githubOAuth = new GitHubOAuth();
-const ollamaLLM = new OllamaLLM();
+const llm = createProvider();
+if (!llm) {
+  console.error(`❌ Unknown LLM_PROVIDER "${defaultProviderName()}". Use one of: ${providerNames().join(', ')}`);
+  process.exit(1);
+}
+const reviewHistory = new ReviewHistory();
+// Repository code indexes give reviews related code as reference
+const embedder = createEmbeddingProvider();
+if (!embedder) {
+  console.warn(`⚠️  Unknown EMBEDDING_PROVIDER "${defaultEmbeddingProviderName()}" (use one of: ${embeddingProviderNames().join(', ')}); code indexing is disabled`);
+}
+const codeIndex = embedder ? new CodeIndex({ store: new VectorStore(), embedder }) : null;
+const prAnalyzer = new PRAnalyzer(llm, { history: reviewHistory, codeIndex });
+const repoSettings = new RepoSettings();
+const jobQueue = new JobQueue();
+// GitHub App credentials let server-initiated reviews post as the app's bot
+const githubApp = new GitHubApp();
+const webhookHandler = new WebhookHandler({ analyzer: prAnalyzer, settings: repoSettings, jobs: jobQueue, app: githubApp });
 
-// In-memory session storage (use Redis/database in production)
-const sessions = new Map();
+// Login sessions: expire server-side and keep GitHub tokens encrypted at rest
+let sessionStore;
+try {
+  sessionStore = createSessionStore();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+if (sessionStore.cipher.ephemeral) {
+  console.warn('⚠️  SESSION_SECRET is not set; sessions will not survive a restart');
+}
+sessionStore.startSweeper();
 
 // Middleware
 app.use(cors());
 app.use(cookieParser());
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Keep the raw body so webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Serve static files
@@ -43,22 +86,42 @@ app.get('/health', (req, res) => {
   });
 });
 
-// GitHub OAuth routes
+// GitHub OAuth routes. The state ties the callback to the browser that
+// started the login (pre-auth cookie), which stops login CSRF.
+// ?mode=readonly asks for a session that cannot post to GitHub.
 app.get('/auth/login', (req, res) => {
-  const authUrl = githubOAuth.getAuthUrl();
-  res.redirect(authUrl);
+  const { url, state } = githubOAuth.createAuthRequest({ readOnly: req.query.mode === 'readonly' });
+
+  res.cookie('oauth_state', state, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: githubOAuth.stateTtlMs
+  });
+  res.redirect(url);
 });
 
 app.get('/auth/github/callback', async (req, res) => {
-  const { code } = req.query;
-  
+  const { code, state, error } = req.query;
+  const cookieState = req.cookies?.oauth_state;
+  res.clearCookie('oauth_state');
+
+  if (error) {
+    return res.status(400).json({ error: req.query.error_description || error });
+  }
+
   if (!code) {
     return res.status(400).json({ error: 'Authorization code not provided' });
   }
 
+  const login = githubOAuth.verifyState(state, cookieState);
+  if (!login.success) {
+    return res.status(403).json({ error: login.error });
+  }
+
   try {
     // Exchange code for token
-    const tokenResult = await githubOAuth.exchangeCodeForToken(code);
+    const tokenResult = await githubOAuth.exchangeCodeForToken(code, { codeVerifier: login.codeVerifier });
     
     if (!tokenResult.success) {
       return res.status(400).json({ error: tokenResult.error });
@@ -72,17 +135,17 @@ app.get('/auth/github/callback', async (req, res) => {
     }
 
     // Create session
-    const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    sessions.set(sessionId, {
+    const sessionId = await sessionStore.create({
       token: tokenResult.token,
       user: userResult.user,
-      createdAt: new Date()
+      scope: tokenResult.scope,
+      readOnly: login.readOnly
     });
 
     // Store session in cookie (use secure cookies in production)
     res.cookie('session_id', sessionId, { 
       httpOnly: true, 
-      maxAge: 24 * 60 * 60 * 1000 // 24 hours
+      maxAge: sessionStore.ttlMs
     });
 
     res.redirect('/dashboard');
@@ -93,20 +156,109 @@ app.get('/auth/github/callback', async (req, res) => {
   }
 });
 
+// Create a session from a GitHub token the client already has: a device
+// flow token or personal access token of the CLI. The token is checked
+// against GitHub before the session is created.
+app.post('/auth/token', async (req, res) => {
+  const { token, readOnly = false } = req.body || {};
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ success: false, error: 'A GitHub token is required' });
+  }
+
+  const userResult = await githubOAuth.getUserInfo(token);
+  if (!userResult.success) {
+    return res.status(401).json({ success: false, error: `GitHub rejected the token: ${userResult.error}` });
+  }
+
+  try {
+    const sessionReadOnly = githubOAuth.readOnly || Boolean(readOnly);
+    const sessionId = await sessionStore.create({
+      token,
+      user: userResult.user,
+      scope: userResult.scopes,
+      readOnly: sessionReadOnly
+    });
+
+    res.json({
+      success: true,
+      sessionId,
+      user: { login: userResult.user.login, name: userResult.user.name },
+      scope: userResult.scopes,
+      readOnly: sessionReadOnly
+    });
+  } catch (error) {
+    console.error('❌ Session store error:', error.message);
+    res.status(503).json({ success: false, error: 'Session store is unavailable' });
+  }
+});
+
 // Middleware to check authentication
-const requireAuth = (req, res, next) => {
+const requireAuth = async (req, res, next) => {
   const sessionId = req.cookies?.session_id || req.headers.authorization?.replace('Bearer ', '');
-  
-  if (!sessionId || !sessions.has(sessionId)) {
+
+  let session;
+  try {
+    session = await sessionStore.get(sessionId);
+  } catch (error) {
+    console.error('❌ Session store error:', error.message);
+    return res.status(503).json({ error: 'Session store is unavailable' });
+  }
+
+  if (!session) {
     return res.status(401).json({ error: 'Authentication required' });
   }
   
-  const session = sessions.get(sessionId);
   req.user = session.user;
   req.token = session.token;
+  req.session = session;
+  next();
+};
+
+// Refuse actions that post to GitHub with a read-only session's token
+const requireWriteSession = (req, res, next) => {
+  if (req.session.readOnly) {
+    return res.status(403).json({ success: false, error: 'You signed in read-only; sign in again with full access to post reviews' });
+  }
   next();
 };
 
+// GitHub logins allowed to see server-wide internals
+const ADMIN_USERS = (process.env.ADMIN_USERS || '')
+  .split(',')
+  .map(login => login.trim().toLowerCase())
+  .filter(Boolean);
+
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_USERS.includes(String(req.user.login).toLowerCase())) {
+    return res.status(403).json({ success: false, error: 'Only users listed in ADMIN_USERS can access this' });
+  }
+  next();
+};
+
+// GitHub webhook endpoint for automatic reviews
+app.post('/webhooks/github', (req, res) => {
+  const event = req.headers['x-github-event'];
+  const deliveryId = req.headers['x-github-delivery'];
+
+  if (!webhookHandler.secret) {
+    return res.status(503).json({ success: false, error: 'GITHUB_WEBHOOK_SECRET is not configured' });
+  }
+
+  if (!webhookHandler.verifySignature(req.rawBody, req.headers['x-hub-signature-256'])) {
+    console.error(`❌ Webhook ${deliveryId}: invalid signature`);
+    return res.status(401).json({ success: false, error: 'Invalid webhook signature' });
+  }
+
+  try {
+    const { status, body } = webhookHandler.handle(event, req.body, deliveryId);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+    res.status(500).json({ success: false, error: 'Failed to handle webhook' });
+  }
+});
+
 // Dashboard route
 app.get('/dashboard', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
@@ -128,7 +280,8 @@ app.get('/api/repos', requireAuth, async (req, res) => {
     if (result.success) {
       res.json({
         success: true,
-        repos: result.repos
+        repos: result.repos,
+        truncated: result.truncated
       });
     } else {
       console.error('❌ GitHub API error:', result.error);
@@ -146,6 +299,40 @@ app.get('/api/repos', requireAuth, async (req, res) => {
   }
 });
 
+// GitHub API rate-limit state of the signed-in user's token
+app.get('/api/github/rate-limit', requireAuth, async (req, res) => {
+  const result = await new GitHubAPI(req.token).getRateLimit();
+
+  if (!result.success) {
+    return res.status(502).json({ success: false, error: result.error });
+  }
+
+  res.json(result);
+});
+
+// GitHub App mode: the app's identity and cached installation tokens
+app.get('/api/github/app', requireAuth, async (req, res) => {
+  if (!githubApp.configured) {
+    return res.json({ success: true, ...githubApp.describe() });
+  }
+
+  const result = await githubApp.getApp();
+  if (!result.success) {
+    return res.status(502).json({ ...githubApp.describe(), ...result });
+  }
+
+  res.json({ success: true, ...githubApp.describe(), app: result.app });
+});
+
+// Internal counters for troubleshooting (GitHub response cache). They
+// cover every user's traffic, so only admins may read them.
+app.get('/api/diagnostics', requireAuth, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    githubCache: GitHubAPI.cache.describe()
+  });
+});
+
 app.get('/api/repos/:owner/:repo/pulls', requireAuth, async (req, res) => {
   try {
     const { owner, repo } = req.params;
@@ -163,7 +350,8 @@ app.get('/api/repos/:owner/:repo/pulls', requireAuth, async (req, res) => {
     if (result.success) {
       res.json({
         success: true,
-        pulls: result.pulls
+        pulls: result.pulls,
+        truncated: result.truncated
       });
     } else {
       console.error('❌ GitHub PRs error:', result.error);
@@ -181,6 +369,76 @@ app.get('/api/repos/:owner/:repo/pulls', requireAuth, async (req, res) => {
   }
 });
 
+// Providers a request may pick. The mock provider returns canned reviews,
+// so it is only offered when it is the configured one or ALLOW_MOCK_PROVIDER is set
+const requestableProviders = () => providerNames().filter(name =>
+  name !== 'mock' || name === llm.name || process.env.ALLOW_MOCK_PROVIDER === 'true'
+);
+
+// The LLM provider for a request: the configured one unless the request
+// names a provider and/or model. A requested model must be one the
+// provider lists, by exact name.
+const selectProvider = async ({ provider, model } = {}) => {
+  if (!provider && !model) {
+    return { success: true, llm };
+  }
+
+  const name = provider || llm.name;
+  if (!isProvider(name) || !requestableProviders().includes(name)) {
+    return { success: false, status: 400, error: `Unknown provider "${name}". Use one of: ${requestableProviders().join(', ')}` };
+  }
+
+  const selected = createProvider(name, { model });
+  if (model) {
+    const check = await selected.hasModel(model);
+    if (!check.success) {
+      return { success: false, status: 503, error: `Cannot check model "${model}": ${check.error}` };
+    }
+    if (!check.available) {
+      return { success: false, status: 400, error: `Unknown model "${model}" for ${selected.label}` };
+    }
+  }
+
+  return { success: true, llm: selected };
+};
+
+// Queue a PR analysis for the current user; all LLM work goes through the
+// job queue so the concurrency limit applies to every caller
+const queueAnalysis = (req, provider) => {
+  const { owner, repo, prNumber, tokenBudget, maxChunks } = req.body;
+  const incremental = req.body.incremental === true || req.body.incremental === 'true';
+  const githubAPI = new GitHubAPI(req.token);
+
+  return jobQueue.add(
+    'analyze-pr',
+    ({ signal, progress, token }) => prAnalyzer.analyze(githubAPI, {
+      owner, repo, prNumber, tokenBudget, maxChunks, llm: provider, explicitModel: Boolean(req.body.model),
+      signal, onProgress: progress, onToken: token,
+      source: 'manual', requestedBy: req.user.login, incremental
+    }),
+    { owner, repo, prNumber: parseInt(prNumber, 10), user: req.user.login, provider: provider.name, model: provider.model, incremental }
+  );
+};
+
+// Turn a finished job into the HTTP status and body of its result
+const jobResultResponse = (job) => {
+  if (job.status === 'done') {
+    return { status: 200, body: job.result };
+  }
+
+  if (job.status === 'failed') {
+    const { success, status, ...errorBody } = job.result || { error: job.error };
+    return { status: status || 500, body: { success: false, ...errorBody } };
+  }
+
+  if (job.status === 'cancelled') {
+    return { status: 409, body: { success: false, error: 'Job was cancelled' } };
+  }
+
+  return { status: 409, body: { success: false, error: 'Job has not finished yet', status: job.status } };
+};
+
+// Synchronous analysis: queues a job and waits for it to finish
 app.post('/api/analyze-pr', requireAuth, async (req, res) => {
   try {
     const { owner, repo, prNumber } = req.body;
@@ -189,78 +447,409 @@ app.post('/api/analyze-pr', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Missing required parameters: owner, repo, prNumber' });
     }
 
-    const githubAPI = new GitHubAPI(req.token);
-    
-    // Get PR details
-    const prResponse = await axios.get(`https://api.github.com/repos/${owner}/${repo}/pulls/${prNumber}`, {
-      headers: githubAPI.headers
+    const selected = await selectProvider(req.body);
+    if (!selected.success) {
+      return res.status(selected.status).json({ error: selected.error });
+    }
+
+    const job = queueAnalysis(req, selected.llm);
+
+    // Stop generating if the client gives up waiting
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        jobQueue.cancel(job.id);
+      }
     });
-    const prData = prResponse.data;
-    
-    // Get PR diff
-    const diffResult = await githubAPI.getPullRequestDiff(owner, repo, prNumber);
-    if (!diffResult.success) {
-      return res.status(500).json({ error: diffResult.error });
+
+    await jobQueue.wait(job.id);
+    const { status, body } = jobResultResponse(job);
+    res.status(status).json(body);
+
+  } catch (error) {
+    console.error('Analyze PR error:', error);
+    res.status(500).json({ error: 'Failed to analyze pull request' });
+  }
+});
+
+// Background analysis jobs
+app.post('/api/jobs', requireAuth, async (req, res) => {
+  const { owner, repo, prNumber } = req.body;
+
+  if (!owner || !repo || !prNumber) {
+    return res.status(400).json({ success: false, error: 'Missing required parameters: owner, repo, prNumber' });
+  }
+
+  const selected = await selectProvider(req.body);
+  if (!selected.success) {
+    return res.status(selected.status).json({ success: false, error: selected.error });
+  }
+
+  const job = queueAnalysis(req, selected.llm);
+  console.log(`📥 Queued analysis job ${job.id} for ${owner}/${repo}#${prNumber}`);
+
+  res.status(202).json({
+    success: true,
+    job: jobQueue.describe(job)
+  });
+});
+
+app.get('/api/jobs', requireAuth, (req, res) => {
+  const jobs = jobQueue.list(job => job.meta.user === req.user.login);
+
+  res.json({
+    success: true,
+    jobs: jobs.map(job => jobQueue.describe(job))
+  });
+});
+
+// Users can only see and control their own jobs
+const loadJob = (req, res, next) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job || job.meta.user !== req.user.login) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  req.job = job;
+  next();
+};
+
+app.get('/api/jobs/:id', requireAuth, loadJob, (req, res) => {
+  res.json({
+    success: true,
+    job: jobQueue.describe(req.job)
+  });
+});
+
+app.get('/api/jobs/:id/result', requireAuth, loadJob, (req, res) => {
+  const { status, body } = jobResultResponse(req.job);
+  res.status(status).json(body);
+});
+
+// Server-Sent Events stream of a job: a snapshot of its state and output so
+// far, then progress and token events, then a final done event with the result
+app.get('/api/jobs/:id/events', requireAuth, loadJob, (req, res) => {
+  const job = req.job;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const finish = () => {
+    const { status, body } = jobResultResponse(job);
+    send('done', { job: jobQueue.describe(job), status, result: body });
+    cleanup();
+    res.end();
+  };
+
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id) return;
+    if (JobQueue.FINISHED_STATES.includes(updated.status)) {
+      finish();
+    } else {
+      send('progress', { job: jobQueue.describe(updated) });
     }
+  };
 
-    // Get PR files for additional context
-    const filesResult = await githubAPI.getPullRequestFiles(owner, repo, prNumber);
-    
-    // Check Ollama status
-    const ollamaStatus = await ollamaLLM.checkOllamaStatus();
-    if (!ollamaStatus.running) {
-      return res.status(503).json({ 
-        error: 'Ollama is not running. Please start Ollama service.',
-        suggestion: 'Run: ollama serve'
-      });
+  const onToken = (updated, text) => {
+    if (updated.id === job.id) {
+      send('token', { text });
     }
+  };
 
-    if (!ollamaStatus.modelAvailable) {
-      return res.status(503).json({ 
-        error: `Model ${ollamaLLM.model} is not available.`,
-        suggestion: `Run: ollama pull ${ollamaLLM.model}`,
-        availableModels: ollamaStatus.availableModels
-      });
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobQueue.off('update', onUpdate);
+    jobQueue.off('token', onToken);
+  };
+
+  send('snapshot', { job: jobQueue.describe(job), output: job.output });
+
+  if (JobQueue.FINISHED_STATES.includes(job.status)) {
+    return finish();
+  }
+
+  jobQueue.on('update', onUpdate);
+  jobQueue.on('token', onToken);
+  req.on('close', cleanup);
+});
+
+app.delete('/api/jobs/:id', requireAuth, loadJob, (req, res) => {
+  if (!jobQueue.cancel(req.job.id)) {
+    return res.status(409).json({ success: false, error: `Job is already ${req.job.status}` });
+  }
+
+  console.log(`🛑 Cancelled analysis job ${req.job.id}`);
+  res.json({
+    success: true,
+    job: jobQueue.describe(req.job)
+  });
+});
+
+// Only users with push access may manage a repository's automatic reviews
+const checkRepoAccess = async (token, owner, repo, { push = false } = {}) => {
+  const result = await new GitHubAPI(token).getRepository(owner, repo);
+
+  if (!result.success) {
+    return { status: 404, error: 'Repository not found or access denied' };
+  }
+
+  if (push && !result.repo.permissions.push) {
+    return { status: 403, error: 'Push access to the repository is required' };
+  }
+
+  return null;
+};
+
+const checkRepoWriteAccess = (token, owner, repo) => checkRepoAccess(token, owner, repo, { push: true });
+
+const requireRepoReadAccess = async (req, res, next) => {
+  const denied = await checkRepoAccess(req.token, req.params.owner, req.params.repo);
+
+  if (denied) {
+    return res.status(denied.status).json({ success: false, error: denied.error });
+  }
+
+  next();
+};
+
+const requireRepoWriteAccess = async (req, res, next) => {
+  const denied = await checkRepoWriteAccess(req.token, req.params.owner, req.params.repo);
+
+  if (denied) {
+    return res.status(denied.status).json({ success: false, error: denied.error });
+  }
+
+  next();
+};
+
+// Per-repo webhook review settings
+app.get('/api/repos/:owner/:repo/settings', requireAuth, requireRepoWriteAccess, (req, res) => {
+  res.json({
+    success: true,
+    settings: repoSettings.get(req.params.owner, req.params.repo)
+  });
+});
+
+app.put('/api/repos/:owner/:repo/settings', requireAuth, requireRepoWriteAccess, (req, res) => {
+  try {
+    const result = repoSettings.update(req.params.owner, req.params.repo, req.body || {});
+
+    if (!result.success) {
+      return res.status(400).json(result);
     }
 
-    // Generate AI review
-    const prContext = {
-      title: prData.title,
-      description: prData.body || '',
-      author: prData.user.login
-    };
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Update settings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update repository settings' });
+  }
+});
 
-    const reviewResult = await ollamaLLM.generateReview(diffResult.diff, prContext);
-    
-    if (!reviewResult.success) {
-      return res.status(500).json({ error: `AI analysis failed: ${reviewResult.error}` });
+// Code index of a repository: built from the repository at a commit and
+// used to add related code to reviews. Builds run as jobs.
+const runningIndexJob = (owner, repo) => jobQueue.list(job => job.type === 'index-repo' &&
+  job.meta.owner.toLowerCase() === owner.toLowerCase() &&
+  job.meta.repo.toLowerCase() === repo.toLowerCase() &&
+  !JobQueue.FINISHED_STATES.includes(job.status))[0];
+
+const requireCodeIndex = (req, res, next) => {
+  if (!codeIndex) {
+    return res.status(503).json({ success: false, error: 'Code indexing is disabled (unknown EMBEDDING_PROVIDER)' });
+  }
+  next();
+};
+
+const queueIndexBuild = (req, res, mode) => {
+  const { owner, repo } = req.params;
+
+  const running = runningIndexJob(owner, repo);
+  if (running) {
+    return res.status(409).json({ success: false, error: `${owner}/${repo} is already being indexed`, job: jobQueue.describe(running) });
+  }
+  if (mode === 'refresh' && codeIndex.status(owner, repo).status === 'missing') {
+    return res.status(404).json({ success: false, error: `${owner}/${repo} has no code index yet` });
+  }
+
+  const ref = req.body && req.body.ref;
+  const githubAPI = new GitHubAPI(req.token);
+  const job = jobQueue.add(
+    'index-repo',
+    ({ signal, progress }) => mode === 'refresh'
+      ? codeIndex.refresh(githubAPI, owner, repo, { signal, onProgress: progress })
+      : codeIndex.build(githubAPI, owner, repo, { ref, signal, onProgress: progress }),
+    { owner, repo, ref, mode, user: req.user.login }
+  );
+  console.log(`📥 Queued ${mode === 'refresh' ? 'index refresh' : 'index build'} job ${job.id} for ${owner}/${repo}`);
+
+  res.status(202).json({ success: true, job: jobQueue.describe(job) });
+};
+
+app.get('/api/repos/:owner/:repo/index', requireAuth, requireCodeIndex, requireRepoReadAccess, (req, res) => {
+  const { owner, repo } = req.params;
+  const running = runningIndexJob(owner, repo);
+
+  res.json({
+    success: true,
+    index: codeIndex.status(owner, repo),
+    embedder: codeIndex.embedder.describe(),
+    job: running ? jobQueue.describe(running) : null
+  });
+});
+
+app.post('/api/repos/:owner/:repo/index', requireAuth, requireCodeIndex, requireRepoReadAccess, (req, res) => {
+  queueIndexBuild(req, res, 'build');
+});
+
+app.post('/api/repos/:owner/:repo/index/refresh', requireAuth, requireCodeIndex, requireRepoReadAccess, (req, res) => {
+  queueIndexBuild(req, res, 'refresh');
+});
+
+// Webhook reviews waiting for human approval
+app.get('/api/repos/:owner/:repo/pending-reviews', requireAuth, requireRepoWriteAccess, (req, res) => {
+  res.json({
+    success: true,
+    reviews: webhookHandler.listPending(req.params.owner, req.params.repo)
+  });
+});
+
+// Load a pending review and check the caller may act on its repository
+const loadPendingReview = async (req, res, next) => {
+  const pending = webhookHandler.getPending(req.params.id);
+
+  if (!pending) {
+    return res.status(404).json({ success: false, error: 'Pending review not found' });
+  }
+
+  const denied = await checkRepoWriteAccess(req.token, pending.owner, pending.repo);
+  if (denied) {
+    return res.status(denied.status).json({ success: false, error: denied.error });
+  }
+
+  req.pendingReview = pending;
+  next();
+};
+
+app.post('/api/pending-reviews/:id/approve', requireAuth, loadPendingReview, async (req, res) => {
+  try {
+    const pending = req.pendingReview;
+
+    // Post as the app's bot when there is one, otherwise as the approver
+    if (!githubApp.configured && req.session.readOnly) {
+      return requireWriteSession(req, res);
     }
 
-    res.json({
-      success: true,
-      analysis: {
-        pr: {
-          title: prData.title,
-          author: prData.user.login,
-          url: prData.html_url,
-          filesChanged: filesResult.success ? filesResult.files.length : 0
-        },
-        review: reviewResult.review,
-        model: reviewResult.model,
-        method: reviewResult.method || 'API'
+    let githubAPI = new GitHubAPI(req.token);
+    if (githubApp.configured) {
+      const client = await webhookHandler.githubAPIFor(pending.owner, pending.repo, pending.installationId);
+      if (!client.success) {
+        return res.status(502).json(client);
       }
-    });
+      githubAPI = client.githubAPI;
+    }
 
+    const result = await webhookHandler.publish(githubAPI, pending);
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    webhookHandler.removePending(pending.id);
+    console.log(`✅ Pending review ${pending.id} approved by ${req.user.login}`);
+    res.json(result);
   } catch (error) {
-    console.error('Analyze PR error:', error);
-    res.status(500).json({ error: 'Failed to analyze pull request' });
+    console.error('❌ Approve review error:', error);
+    res.status(500).json({ success: false, error: 'Failed to post pending review' });
   }
 });
 
-// Ollama status endpoint
+app.delete('/api/pending-reviews/:id', requireAuth, loadPendingReview, (req, res) => {
+  webhookHandler.removePending(req.pendingReview.id);
+  res.json({ success: true, message: 'Pending review discarded' });
+});
+
+// Review history
+app.get('/api/repos/:owner/:repo/reviews', requireAuth, requireRepoReadAccess, (req, res) => {
+  res.json({
+    success: true,
+    reviews: reviewHistory.list(req.params.owner, req.params.repo)
+  });
+});
+
+app.get('/api/repos/:owner/:repo/pulls/:prNumber/reviews', requireAuth, requireRepoReadAccess, (req, res) => {
+  res.json({
+    success: true,
+    reviews: reviewHistory.list(req.params.owner, req.params.repo, req.params.prNumber)
+  });
+});
+
+// Load a stored review the user can read into req.storedReview
+const loadStoredReview = (paramName) => async (req, res, next) => {
+  const review = reviewHistory.get(req.params[paramName] || req.query[paramName]);
+  if (!review) {
+    return res.status(404).json({ success: false, error: 'Review not found' });
+  }
+
+  const denied = await checkRepoAccess(req.token, review.owner, review.repo);
+  if (denied) {
+    return res.status(denied.status).json({ success: false, error: denied.error });
+  }
+
+  req.storedReviews = { ...req.storedReviews, [paramName]: review };
+  next();
+};
+
+// Compare the reviews of two commits: ?base=REVIEW_ID&head=REVIEW_ID
+app.get('/api/reviews/compare', requireAuth, loadStoredReview('base'), loadStoredReview('head'), (req, res) => {
+  const { base, head } = req.storedReviews;
+
+  if (!reviewHistory.samePR(base, head.owner, head.repo, head.prNumber)) {
+    return res.status(400).json({ success: false, error: 'Both reviews must belong to the same pull request' });
+  }
+
+  res.json({
+    success: true,
+    comparison: reviewHistory.compare(base, head)
+  });
+});
+
+app.get('/api/reviews/:id', requireAuth, loadStoredReview('id'), (req, res) => {
+  res.json({
+    success: true,
+    review: req.storedReviews.id
+  });
+});
+
+// A stored review as SARIF, JUnit XML, JSON or markdown (?format=, default
+// sarif) for code-scanning uploads and CI test reports
+app.get('/api/reviews/:id/export', requireAuth, loadStoredReview('id'), (req, res) => {
+  const review = req.storedReviews.id;
+  const { owner, repo, prNumber } = review;
+  const exported = exportAnalysis(review.analysis, req.query.format || 'sarif', { owner, repo, prNumber });
+
+  if (!exported.success) {
+    return res.status(400).json({ success: false, error: exported.error });
+  }
+
+  res.attachment(`review-${owner}-${repo}-${prNumber}-${review.headSha.slice(0, 7)}.${exported.extension}`);
+  res.set('Content-Type', exported.contentType);
+  res.send(exported.content);
+});
+
+// Ollama status endpoint (kept for existing clients; see /api/llm/status)
 app.get('/api/ollama/status', async (req, res) => {
   try {
-    const status = await ollamaLLM.checkOllamaStatus();
+    const status = await createProvider('ollama').checkStatus();
     res.json(status);
   } catch (error) {
     console.error('Ollama status error:', error);
@@ -271,13 +860,54 @@ app.get('/api/ollama/status', async (req, res) => {
   }
 });
 
-// Post review comment endpoint
-app.post('/api/post-review', requireAuth, async (req, res) => {
+// LLM providers and the configured default
+app.get('/api/llm/providers', (req, res) => {
+  res.json({
+    success: true,
+    default: llm.name,
+    providers: requestableProviders().map(name => (name === llm.name ? llm : createProvider(name)).describe())
+  });
+});
+
+// Status of the default provider, or of ?provider= and ?model=
+app.get('/api/llm/status', async (req, res) => {
+  const selected = await selectProvider(req.query);
+  if (!selected.success) {
+    return res.status(selected.status).json({ running: false, error: selected.error });
+  }
+
+  try {
+    const status = await selected.llm.checkStatus();
+    res.json({ ...selected.llm.describe(), ...status });
+  } catch (error) {
+    console.error('LLM status error:', error);
+    res.status(500).json({
+      running: false,
+      error: error.message
+    });
+  }
+});
+
+// Models offered by the default provider, or by ?provider=
+app.get('/api/llm/models', async (req, res) => {
+  const selected = await selectProvider(req.query);
+  if (!selected.success) {
+    return res.status(selected.status).json({ success: false, error: selected.error });
+  }
+
+  const result = await selected.llm.listModels();
+  res.status(result.success ? 200 : 503).json({ provider: selected.llm.name, ...result });
+});
+
+// Post review endpoint
+// mode "comment" posts one issue comment; mode "review" submits a PR review
+// with inline comments (event: COMMENT, REQUEST_CHANGES or APPROVE)
+app.post('/api/post-review', requireAuth, requireWriteSession, async (req, res) => {
   try {
-    const { owner, repo, prNumber, body, review } = req.body;
+    const { owner, repo, prNumber, body, review, mode = 'comment', event = 'COMMENT', comments = [], commitId } = req.body;
     const reviewText = body || review; // Accept either 'body' or 'review' parameter
     
-    console.log('📝 Posting review:', { owner, repo, prNumber, hasReview: !!reviewText });
+    console.log('📝 Posting review:', { owner, repo, prNumber, mode, hasReview: !!reviewText });
     
     if (!owner || !repo || !prNumber || !reviewText) {
       console.error('❌ Missing parameters:', { owner, repo, prNumber, hasReview: !!reviewText });
@@ -287,29 +917,38 @@ app.post('/api/post-review', requireAuth, async (req, res) => {
       });
     }
 
-    const githubAPI = new GitHubAPI(req.token);
-    
-    // Format the review comment
-    const formattedReview = `🤖 **AI Code Review** (Generated by AI GitHub PR Reviewer)
+    if (!['comment', 'review'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid mode. Use "comment" or "review"'
+      });
+    }
 
-${reviewText}
+    if (mode === 'review' && !ReviewPublisher.REVIEW_EVENTS.includes(event)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid review event. Use one of: ${ReviewPublisher.REVIEW_EVENTS.join(', ')}`
+      });
+    }
 
----
-*This review was generated using local AI (${ollamaLLM.model}). Please use your judgment and verify suggestions.*`;
+    const publisher = new ReviewPublisher(new GitHubAPI(req.token), req.body.model || llm.model);
 
-    const result = await githubAPI.postPullRequestComment(owner, repo, prNumber, formattedReview);
+    const result = mode === 'review'
+      ? await publisher.postInlineReview(owner, repo, prNumber, {
+        reviewText,
+        event,
+        commitId,
+        comments: comments.map(comment => ({
+          ...comment,
+          line: parseInt(comment.line, 10),
+          start_line: comment.start_line ? parseInt(comment.start_line, 10) : undefined
+        }))
+      })
+      : await publisher.postComment(owner, repo, prNumber, reviewText);
     
     if (result.success) {
       console.log('✅ Review posted successfully');
-      res.json({ 
-        success: true, 
-        comment: {
-          id: result.comment.id,
-          url: result.comment.html_url,
-          body: result.comment.body,
-          created_at: result.comment.created_at
-        }
-      });
+      res.json({ ...result, mode });
     } else {
       console.error('❌ Failed to post review:', result.error);
       res.status(500).json({ 
@@ -347,7 +986,9 @@ app.get('/api/user', requireAuth, async (req, res) => {
         name: req.user.name,
         avatar_url: req.user.avatar_url,
         email: req.user.email
-      }
+      },
+      scope: req.session.scope,
+      readOnly: req.session.readOnly
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -356,13 +997,26 @@ app.get('/api/user', requireAuth, async (req, res) => {
 });
 
 // Logout endpoint
-app.post('/logout', (req, res) => {
-  const sessionId = req.cookies.session_id;
+// Log out and revoke the OAuth token at GitHub, so a leaked copy of the
+// session cannot be used either
+app.post('/logout', async (req, res) => {
+  const sessionId = req.cookies.session_id || req.headers.authorization?.replace('Bearer ', '');
+  let revoked = false;
+
   if (sessionId) {
-    sessions.delete(sessionId);
+    const session = await sessionStore.get(sessionId).catch(() => null);
+    await sessionStore.destroy(sessionId);
+
+    if (session && process.env.GITHUB_OAUTH_REVOKE_ON_LOGOUT !== 'false') {
+      const result = await githubOAuth.revokeToken(session.token);
+      revoked = result.success;
+      if (!result.success) {
+        console.error('⚠️  Token revocation failed:', result.error);
+      }
+    }
   }
   res.clearCookie('session_id');
-  res.json({ success: true, message: 'Logged out successfully' });
+  res.json({ success: true, message: 'Logged out successfully', tokenRevoked: revoked });
 });
 
 // 404 handler
@@ -377,6 +1031,9 @@ app.listen(PORT, () => {
   console.log(`🚀 AI GitHub PR Reviewer server running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`🔐 GitHub OAuth: http://localhost:${PORT}/auth/login`);
+  if (githubApp.configured) {
+    console.log(`🤖 GitHub App ${githubApp.appId}: automatic reviews post as the app's bot`);
+  }
 });
 
 module.exports = app;
\ No newline at end of file
@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const inquirer = require('inquirer');
@@ -19,7 +20,7 @@ class SetupWizard {
       await this.welcome();
       await this.checkPrerequisites();
       await this.configureGitHub();
-      await this.configureOllama();
+      await this.configureLLM();
       await this.finalizeSetup();
       await this.showNextSteps();
     } catch (error) {
@@ -73,8 +74,48 @@ class SetupWizard {
 
   async configureGitHub() {
     console.log('\n🔐 GitHub OAuth Configuration');
+
+    const { host } = await inquirer.prompt([{
+      type: 'list',
+      name: 'host',
+      message: 'Where are your repositories hosted?',
+      choices: [
+        { name: 'github.com', value: 'github' },
+        { name: 'GitHub Enterprise Server', value: 'enterprise' }
+      ],
+      default: 'github'
+    }]);
+
+    const endpoints = { enterpriseUrl: '', apiUrl: '', oauthUrl: '' };
+    if (host === 'enterprise') {
+      const enterprise = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'enterpriseUrl',
+          message: 'GitHub Enterprise Server URL (e.g. https://github.example.com):',
+          validate: input => /^https?:\/\/.+/.test(input) || 'Enter a URL starting with http:// or https://',
+          filter: input => input.trim().replace(/\/+$/, '')
+        },
+        {
+          type: 'input',
+          name: 'apiUrl',
+          message: 'API base URL:',
+          default: answers => `${answers.enterpriseUrl}/api/v3`
+        },
+        {
+          type: 'input',
+          name: 'oauthUrl',
+          message: 'OAuth host (where users sign in):',
+          default: answers => answers.enterpriseUrl
+        }
+      ]);
+      Object.assign(endpoints, enterprise);
+    }
+    this.config.endpoints = endpoints;
+
+    const webUrl = endpoints.oauthUrl || 'https://github.com';
     console.log('You need to create a GitHub OAuth App to use this tool.');
-    console.log('Visit: https://github.com/settings/developers\n');
+    console.log(`Visit: ${webUrl}/settings/developers\n`);
 
     const { hasOAuthApp } = await inquirer.prompt([{
       type: 'confirm',
@@ -126,8 +167,34 @@ class SetupWizard {
     console.log('✅ GitHub OAuth configured');
   }
 
+  async configureLLM() {
+    console.log('\n🤖 LLM Provider Configuration');
+
+    const { provider } = await inquirer.prompt([{
+      type: 'list',
+      name: 'provider',
+      message: 'Which LLM backend should review pull requests?',
+      choices: [
+        { name: 'Ollama (local models)', value: 'ollama' },
+        { name: 'OpenAI-compatible server (llama.cpp, vLLM, LM Studio)', value: 'openai' },
+        { name: 'Mock provider (no model, for testing)', value: 'mock' }
+      ],
+      default: 'ollama'
+    }]);
+
+    this.config.provider = provider;
+
+    if (provider === 'ollama') {
+      await this.configureOllama();
+    } else if (provider === 'openai') {
+      await this.configureOpenAI();
+    } else {
+      console.log('✅ Mock provider selected; reviews will be canned responses');
+    }
+  }
+
   async configureOllama() {
-    console.log('\n🤖 Ollama Configuration');
+    console.log('\n🦙 Ollama Configuration');
 
     const { hasOllama } = await inquirer.prompt([{
       type: 'confirm',
@@ -181,9 +248,40 @@ class SetupWizard {
     console.log('✅ Ollama configuration set');
   }
 
+  async configureOpenAI() {
+    console.log('\n🔌 OpenAI-compatible Server Configuration');
+    console.log('Default ports: llama.cpp 8080, vLLM 8000, LM Studio 1234\n');
+
+    const openaiConfig = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'baseUrl',
+        message: 'API base URL (including /v1):',
+        default: 'http://localhost:8080/v1'
+      },
+      {
+        type: 'input',
+        name: 'model',
+        message: 'Model name (leave empty to use the server\'s first model):'
+      },
+      {
+        type: 'password',
+        name: 'apiKey',
+        message: 'API key (leave empty if the server does not need one):'
+      }
+    ]);
+
+    this.config.openai = openaiConfig;
+    console.log('✅ OpenAI-compatible server configuration set');
+  }
+
   async finalizeSetup() {
     console.log('\n⚙️  Writing configuration...');
 
+    const ollama = this.config.ollama || { model: 'gemma:2b', baseUrl: 'http://localhost:11434' };
+    const openai = this.config.openai || { baseUrl: 'http://localhost:8080/v1', model: '', apiKey: '' };
+    const { endpoints } = this.config;
+
     // Create .env file
     const envContent = `# AI GitHub PR Reviewer Configuration
 # Generated by setup wizard
@@ -193,12 +291,29 @@ GITHUB_CLIENT_ID=${this.config.github.clientId}
 GITHUB_CLIENT_SECRET=${this.config.github.clientSecret}
 REDIRECT_URI=${this.config.github.redirectUri}
 
+# GitHub Enterprise Server (empty for github.com)
+GITHUB_ENTERPRISE_URL=${endpoints.enterpriseUrl}
+GITHUB_API_URL=${endpoints.apiUrl}
+GITHUB_OAUTH_URL=${endpoints.oauthUrl}
+
 # Server Configuration
 PORT=5000
 
+# Sessions (the secret encrypts stored GitHub tokens)
+SESSION_SECRET=${crypto.randomBytes(32).toString('hex')}
+SESSION_STORE=file
+
+# LLM Provider: ollama, openai or mock
+LLM_PROVIDER=${this.config.provider}
+
 # Ollama Configuration
-OLLAMA_MODEL=${this.config.ollama.model}
-OLLAMA_BASE_URL=${this.config.ollama.baseUrl}
+OLLAMA_MODEL=${ollama.model}
+OLLAMA_BASE_URL=${ollama.baseUrl}
+
+# OpenAI-compatible Server Configuration
+OPENAI_BASE_URL=${openai.baseUrl}
+OPENAI_MODEL=${openai.model}
+OPENAI_API_KEY=${openai.apiKey}
 
 # Debug Settings
 DEBUG=false
@@ -225,8 +340,16 @@ LOG_LEVEL=info
     console.log('==================\n');
 
     console.log('📋 Next steps:');
-    console.log('1. Start Ollama: ollama serve');
-    console.log(`2. Pull AI model: ollama pull ${this.config.ollama.model}`);
+    if (this.config.provider === 'ollama') {
+      console.log('1. Start Ollama: ollama serve');
+      console.log(`2. Pull AI model: ollama pull ${this.config.ollama.model}`);
+    } else if (this.config.provider === 'openai') {
+      console.log(`1. Start your OpenAI-compatible server at ${this.config.openai.baseUrl}`);
+      console.log('2. Load the model you want to review with');
+    } else {
+      console.log('1. No model needed for the mock provider');
+      console.log('2. Switch LLM_PROVIDER in .env when you want real reviews');
+    }
     console.log('3. Start the server: npm start');
     console.log('4. Use the CLI: npm run cli\n');
 
@@ -56,7 +56,8 @@ class ProjectStarter {
       console.log('⚠️  Missing or incomplete environment variables:');
       missing.forEach(key => console.log(`   - ${key}`));
       console.log('📝 Please edit .env file with your actual values');
-      console.log('🔗 Create GitHub OAuth app: https://github.com/settings/developers');
+      const GitHubAPI = require('./lib/github-api');
+      console.log(`🔗 Create GitHub OAuth app: ${GitHubAPI.webURL('/settings/developers')}`);
     } else {
       console.log('✅ Environment variables configured');
     }
@@ -11,7 +11,7 @@ class HealthChecker {
 
     const tests = [
       { name: 'Server Health Check', test: () => this.testServerHealth() },
-      { name: 'Ollama Status Check', test: () => this.testOllamaStatus() },
+      { name: 'LLM Status Check', test: () => this.testLLMStatus() },
       { name: 'GitHub OAuth URL', test: () => this.testGitHubAuth() }
     ];
 
@@ -66,23 +66,23 @@ class HealthChecker {
     }
   }
 
-  async testOllamaStatus() {
+  async testLLMStatus() {
     try {
-      const response = await axios.get(`${this.baseURL}/api/ollama/status`, { timeout: 10000 });
+      const response = await axios.get(`${this.baseURL}/api/llm/status`, { timeout: 10000 });
       
       if (response.data.running) {
-        console.log('   ✓ Ollama is running');
+        console.log(`   ✓ ${response.data.label} is running`);
         console.log(`   ✓ Model available: ${response.data.modelAvailable}`);
         
         if (response.data.availableModels && response.data.availableModels.length > 0) {
           console.log(`   ✓ Available models: ${response.data.availableModels.join(', ')}`);
         }
       } else {
-        throw new Error('Ollama is not running');
+        throw new Error(`${response.data.label} is not running`);
       }
     } catch (error) {
       if (error.response && error.response.status === 500) {
-        throw new Error('Ollama is not running - start with: ollama serve');
+        throw new Error('LLM provider is not running - for Ollama start it with: ollama serve');
       }
       throw error;
     }
@@ -98,7 +98,7 @@ class HealthChecker {
       
       if (response.status === 302) {
         const location = response.headers.location;
-        if (location && location.includes('github.com/login/oauth/authorize')) {
+        if (location && location.includes('/login/oauth/authorize')) {
           console.log('   ✓ GitHub OAuth redirect is working');
           console.log(`   ✓ Redirect URL: ${location.substring(0, 50)}...`);
         } else {
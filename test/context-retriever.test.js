@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { expandPatch, referencedSymbols, findDefinition } = require('../lib/context-retriever');
+
+const content = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+test('expandPatch adds unchanged lines around each hunk', () => {
+  const patch = '@@ -10,1 +10,2 @@\n line 10\n+line 11';
+  const changed = content.replace('line 11\n', 'line 11\nline 11b\n');
+  const expanded = expandPatch('@@ -10,2 +10,3 @@\n line 10\n+line 11\n line 11b', changed, 2);
+
+  assert.equal(expandPatch(patch, content, 0), patch);
+  assert.match(expanded, /^@@ -8,6 \+8,7 @@/);
+  assert.ok(expanded.includes(' line 8\n line 9\n line 10\n+line 11\n line 11b\n line 12\n line 13'));
+});
+
+test('expandPatch merges hunks whose context overlaps', () => {
+  const patch = '@@ -5 +5 @@\n-old 5\n+line 5\n@@ -8 +8 @@\n-old 8\n+line 8';
+  const expanded = expandPatch(patch, content, 2);
+
+  assert.equal(expanded.split('\n').filter(line => line.startsWith('@@')).length, 1);
+  assert.match(expanded, /^@@ -3,8 \+3,8 @@/);
+  assert.ok(expanded.includes('+line 5\n line 6\n line 7\n-old 8\n+line 8'));
+});
+
+test('expandPatch leaves patches that do not match the file alone', () => {
+  const patch = '@@ -10,1 +10,2 @@\n line 10\n+something else';
+  assert.equal(expandPatch(patch, content, 3), patch);
+});
+
+test('referencedSymbols lists called and capitalized names outside strings', () => {
+  const patch = "@@ -1 +1,2 @@\n+const user = await loadUser(id, 'formatName(x)');\n+this.cache.store(new UserRecord(user));";
+  const symbols = referencedSymbols(patch);
+
+  assert.ok(symbols.includes('loadUser'));
+  assert.ok(symbols.includes('UserRecord'));
+  assert.ok(symbols.includes('store'));
+  assert.ok(!symbols.includes('formatName'));
+  assert.ok(!symbols.includes('await'));
+});
+
+test('findDefinition returns the definition block', () => {
+  const source = 'const a = 1;\n\nfunction loadUser(id) {\n  return db.get(id);\n}\n\nmodule.exports = { loadUser };\n';
+  const definition = findDefinition(source, 'loadUser', 'users.js');
+
+  assert.equal(definition.start, 3);
+  assert.equal(definition.end, 5);
+  assert.match(definition.text, /return db\.get\(id\);/);
+});
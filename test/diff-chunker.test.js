@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  estimateTokens,
+  splitPatchIntoHunks,
+  getCommentableLines,
+  getAddedLines,
+  mapLineToNewFile,
+  chunkFiles
+} = require('../lib/diff-chunker');
+
+const PATCH = [
+  '@@ -1,3 +1,4 @@',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+const c = 4;',
+  ' module.exports = a;',
+  '@@ -10,2 +11,2 @@ function tail() {',
+  ' return a;',
+  '-}',
+  '+};'
+].join('\n');
+
+test('estimateTokens counts about four characters per token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcd'), 1);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('splitPatchIntoHunks reads the hunk headers', () => {
+  const hunks = splitPatchIntoHunks(PATCH);
+  assert.equal(hunks.length, 2);
+  assert.equal(hunks[0].oldStart, 1);
+  assert.equal(hunks[0].newStart, 1);
+  assert.equal(hunks[1].newStart, 11);
+  assert.equal(hunks[1].lines.length, 3);
+});
+
+test('getCommentableLines and getAddedLines number the new file', () => {
+  assert.deepEqual([...getCommentableLines(PATCH)], [1, 2, 3, 4, 11, 12]);
+  assert.deepEqual([...getAddedLines(PATCH)], [2, 3, 12]);
+  assert.equal(getAddedLines(undefined).size, 0);
+});
+
+test('mapLineToNewFile follows old lines through the patch', () => {
+  assert.equal(mapLineToNewFile(PATCH, 1), 1);
+  assert.equal(mapLineToNewFile(PATCH, 2), null);
+  assert.equal(mapLineToNewFile(PATCH, 3), 4);
+  assert.equal(mapLineToNewFile(PATCH, 5), 6);
+  assert.equal(mapLineToNewFile(PATCH, 20), 21);
+});
+
+test('chunkFiles packs files into chunks within the budget', () => {
+  const files = [
+    { filename: 'a.js', patch: PATCH },
+    { filename: 'b.js', patch: PATCH },
+    { filename: 'logo.png' }
+  ];
+
+  const { chunks, coverage } = chunkFiles(files, { tokenBudget: 3000 });
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0].files, ['a.js', 'b.js']);
+  assert.match(chunks[0].diff, /diff --git a\/b\.js b\/b\.js/);
+  assert.deepEqual(coverage.reviewed, ['a.js', 'b.js']);
+  assert.equal(coverage.skipped[0].filename, 'logo.png');
+});
+
+test('chunkFiles reports files cut off by the chunk limit', () => {
+  const files = ['a.js', 'b.js', 'c.js'].map(filename => ({ filename, patch: PATCH }));
+  const { chunks, coverage } = chunkFiles(files, { tokenBudget: 60, maxChunks: 2 });
+
+  assert.equal(chunks.length, 2);
+  assert.ok(coverage.skipped.some(file => file.filename === 'c.js' && /Chunk limit/.test(file.reason)));
+});
+
+test('chunkFiles truncates hunks bigger than a chunk', () => {
+  const big = ['@@ -1,0 +1,200 @@', ...Array.from({ length: 200 }, (_, i) => `+const value${i} = ${i};`)].join('\n');
+  const { chunks, coverage } = chunkFiles([{ filename: 'big.js', patch: big }], { tokenBudget: 200 });
+
+  assert.equal(chunks.length, 1);
+  assert.match(chunks[0].diff, /hunk truncated/);
+  assert.ok(chunks[0].tokens <= 210);
+  assert.equal(coverage.partial[0].filename, 'big.js');
+});
+
+test('chunkFiles can number the lines of the new file', () => {
+  const { chunks } = chunkFiles([{ filename: 'a.js', patch: PATCH }], { lineNumbers: true });
+  assert.match(chunks[0].diff, /^ {4}3 \+const c = 4;$/m);
+  assert.match(chunks[0].diff, /^ {6}-const b = 2;$/m);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseGitattributes, attributesFor, defaultExclusion, filterFiles } = require('../lib/file-filter');
+const { parseReviewConfig } = require('../lib/review-config');
+
+const patch = lines => ['@@ -0,0 +1,' + lines.length + ' @@', ...lines.map(line => `+${line}`)].join('\n');
+
+test('defaultExclusion names the kind of excluded file', () => {
+  assert.equal(defaultExclusion('package-lock.json'), 'lock file');
+  assert.equal(defaultExclusion('web/app.min.js'), 'minified');
+  assert.equal(defaultExclusion('src/__snapshots__/a.snap'), 'snapshot');
+  assert.equal(defaultExclusion('api/service.pb.go'), 'generated');
+  assert.equal(defaultExclusion('vendor/lib/a.go'), 'vendored');
+  assert.equal(defaultExclusion('src/app.js'), null);
+});
+
+test('parseGitattributes reads set, unset and valued attributes', () => {
+  const rules = parseGitattributes('# comment\n*.bin binary\ndist/** linguist-generated\ndocs/** linguist-documentation=false -diff\n');
+  assert.equal(rules.length, 3);
+  assert.equal(attributesFor(rules, 'a.bin').diff, false);
+  assert.equal(attributesFor(rules, 'dist/app.js')['linguist-generated'], true);
+  assert.deepEqual(attributesFor(rules, 'docs/a.md'), { 'linguist-documentation': false, diff: false });
+});
+
+test('filterFiles gives a reason for every skipped file', () => {
+  const files = [
+    { filename: 'src/app.js', patch: patch(['const a = 1;']) },
+    { filename: 'yarn.lock', patch: patch(['a@1:']) },
+    { filename: 'logo.png' },
+    { filename: 'dist/bundle.js', patch: patch(['x']) },
+    { filename: 'src/gen.js', patch: patch(['// @generated by protoc', 'module.exports = {};']) },
+    { filename: 'src/min.js', patch: patch(['x'.repeat(400)]) },
+    { filename: 'docs/guide.js', patch: patch(['const b = 2;']) }
+  ];
+  const { config } = parseReviewConfig('ignore:\n  - "docs/**"\n');
+  const attributes = parseGitattributes('dist/** linguist-generated');
+
+  const result = filterFiles(files, { config, attributes });
+  assert.deepEqual(result.included.map(file => file.filename), ['src/app.js']);
+
+  const reasons = Object.fromEntries(result.skipped.map(file => [file.filename, file.reason]));
+  assert.equal(reasons['yarn.lock'], 'Default exclusion (lock file)');
+  assert.equal(reasons['logo.png'], 'Binary file');
+  assert.equal(reasons['dist/bundle.js'], 'Marked linguist-generated in .gitattributes');
+  assert.equal(reasons['src/gen.js'], 'Generated file (header marker)');
+  assert.equal(reasons['src/min.js'], 'Looks minified (very long lines)');
+  assert.equal(reasons['docs/guide.js'], 'Ignored by .ai-reviewer.yml');
+});
+
+test('include globs bring back default exclusions', () => {
+  const { config } = parseReviewConfig('include:\n  - "yarn.lock"\n');
+  const result = filterFiles([{ filename: 'yarn.lock', patch: patch(['a@1:']) }], { config });
+  assert.equal(result.included.length, 1);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const GitHubCache = require('../lib/github-cache');
+
+const response = (data, etag = '"e"') => ({ data, headers: { etag } });
+
+test('GitHubCache evicts the least recently used entries past the entry limit', () => {
+  const cache = new GitHubCache({ maxEntries: 2, maxBytes: 1024 });
+  cache.store('a', response('1'));
+  cache.store('b', response('2'));
+  cache.get('a');
+  cache.store('c', response('3'));
+
+  assert.deepEqual([...cache.entries.keys()], ['a', 'c']);
+  assert.equal(cache.stats.evictions, 1);
+});
+
+test('GitHubCache evicts by total size and skips bodies larger than the budget', () => {
+  const cache = new GitHubCache({ maxEntries: 10, maxBytes: 100 });
+  cache.store('a', response('x'.repeat(40)));
+  cache.store('b', response('x'.repeat(40)));
+  cache.store('c', response('x'.repeat(40)));
+
+  assert.deepEqual([...cache.entries.keys()], ['b', 'c']);
+  assert.equal(cache.bytes, 80);
+
+  cache.store('b', response('x'.repeat(101)));
+  assert.deepEqual([...cache.entries.keys()], ['c']);
+  assert.equal(cache.bytes, 40);
+
+  cache.store('d', response({ items: [1, 2, 3] }));
+  assert.equal(cache.bytes, 40 + JSON.stringify({ items: [1, 2, 3] }).length);
+  cache.clear();
+  assert.equal(cache.bytes, 0);
+});
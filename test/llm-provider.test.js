@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MockLLM = require('../lib/mock-llm');
+
+const patch = (name, count) => ['@@ -0,0 +1,' + count + ' @@', ...Array.from({ length: count }, (_, i) => `+const ${name}${i} = ${i};`)].join('\n');
+
+test('generateChunkedReview reviews a small PR in one chunk', async () => {
+  const llm = new MockLLM();
+  const stages = [];
+  const result = await llm.generateChunkedReview([{ filename: 'src/app.js', patch: patch('a', 3) }], { title: 'Add values' }, {
+    onProgress: progress => stages.push(progress.stage)
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.chunks, 1);
+  assert.equal(result.model, 'mock-reviewer');
+  assert.deepEqual(stages, ['reviewing']);
+  assert.deepEqual(result.structured.findings.map(finding => [finding.file, finding.line_start]), [['src/app.js', 1]]);
+  assert.equal(result.comments[0].path, 'src/app.js');
+  assert.match(result.review, /Mock finding/);
+});
+
+test('generateChunkedReview merges the reviews of several chunks', async () => {
+  const llm = new MockLLM();
+  const files = ['a.js', 'b.js', 'c.js'].map(filename => ({ filename, patch: patch('v', 20) }));
+  const stages = [];
+  const result = await llm.generateChunkedReview(files, {}, {
+    tokenBudget: 150,
+    onProgress: progress => stages.push(progress.stage)
+  });
+
+  assert.equal(result.success, true);
+  assert.ok(result.chunks > 1);
+  assert.equal(stages[stages.length - 1], 'merging');
+  assert.equal(result.structured.summary, 'Mock summary of all reviewed parts.');
+  assert.deepEqual(result.coverage.reviewed, ['a.js', 'b.js', 'c.js']);
+});
+
+test('generateChunkedReview fails without reviewable changes', async () => {
+  const result = await new MockLLM().generateChunkedReview([{ filename: 'logo.png' }]);
+  assert.equal(result.success, false);
+  assert.equal(result.coverage.skipped[0].filename, 'logo.png');
+});
+
+test('a cancelled generation fails', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const result = await new MockLLM().generateChunkedReview([{ filename: 'a.js', patch: patch('a', 1) }], {}, { signal: controller.signal });
+  assert.equal(result.success, false);
+});
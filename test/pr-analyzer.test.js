@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const PRAnalyzer = require('../lib/pr-analyzer');
+const MockLLM = require('../lib/mock-llm');
+
+const previous = { id: 'review_1', headSha: 'a'.repeat(40), analysis: { structured: { findings: [] } } };
+const history = { latest: () => previous, openFindings: () => [] };
+const pull = { head: { sha: 'b'.repeat(40) } };
+const file = filename => ({ filename, status: 'modified', patch: '@@ -1 +1 @@\n-a\n+b' });
+
+const githubWithComparison = comparison => ({
+  compareCommits: async () => ({ success: true, comparison: { status: 'ahead', commits: [], filesTruncated: false, ...comparison } })
+});
+
+test('fetchDelta reviews the PR files changed since the last review', async () => {
+  const analyzer = new PRAnalyzer(new MockLLM(), { history });
+  const github = githubWithComparison({ files: [file('a.js'), file('merged-from-base.js')] });
+  const result = await analyzer.fetchDelta(github, { owner: 'octo', repo: 'app', prNumber: 1, pull, files: [file('a.js')] });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.delta.files.map(item => item.filename), ['a.js']);
+  assert.equal(result.delta.baseSha, previous.headSha);
+});
+
+test('fetchDelta falls back to a full review when the comparison is truncated or rewritten', async () => {
+  const analyzer = new PRAnalyzer(new MockLLM(), { history });
+  const options = { owner: 'octo', repo: 'app', prNumber: 1, pull, files: [file('a.js')] };
+
+  const truncated = await analyzer.fetchDelta(githubWithComparison({ files: [file('a.js')], filesTruncated: true }), options);
+  assert.equal(truncated.delta, null);
+  assert.match(truncated.fallback, /Too many files/);
+
+  const diverged = await analyzer.fetchDelta(githubWithComparison({ status: 'diverged', files: [] }), options);
+  assert.equal(diverged.delta, null);
+  assert.match(diverged.fallback, /force push/);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toSarif, toJUnit, exportAnalysis } = require('../lib/review-exporters');
+
+const analysis = {
+  model: 'mock-reviewer',
+  provider: 'mock',
+  headSha: 'a'.repeat(40),
+  pr: { url: 'https://github.com/octo/app/pull/7' },
+  review: '## Review',
+  timing: { durationMs: 1500 },
+  coverage: {
+    reviewed: ['src/app.js', 'src/clean.js'],
+    partial: [],
+    skipped: [{ filename: 'yarn.lock', reason: 'Default exclusion (lock file)' }]
+  },
+  structured: {
+    summary: 'Summary',
+    positives: [],
+    assessment: 'Fine',
+    findings: [
+      { file: 'src/app.js', line_start: 3, line_end: 4, severity: 'nit', category: 'style', title: 'Naming', message: 'Rename <x>.', suggestion: '' },
+      { file: 'src/app.js', line_start: 9, line_end: 9, severity: 'blocker', category: 'security', title: 'Injection', message: 'Unsanitized input.', suggestion: 'Escape it.' }
+    ]
+  }
+};
+
+test('toSarif writes one result per finding with its rule and location', () => {
+  const sarif = toSarif(analysis, { owner: 'octo', repo: 'app', prNumber: 7 });
+  const [run] = sarif.runs;
+
+  assert.equal(sarif.version, '2.1.0');
+  assert.equal(run.results.length, 2);
+  assert.equal(run.results[0].ruleId, 'ai-review/security');
+  assert.equal(run.results[0].level, 'error');
+  assert.equal(run.results[1].level, 'note');
+  assert.deepEqual(run.results[1].locations[0].physicalLocation.region, { startLine: 3, endLine: 4 });
+  assert.equal(run.tool.driver.rules[run.results[0].ruleIndex].id, 'ai-review/security');
+  assert.deepEqual(run.artifacts.map(artifact => artifact.location.uri), ['src/app.js', 'src/clean.js']);
+  assert.equal(run.versionControlProvenance[0].revisionId, analysis.headSha);
+});
+
+test('toJUnit fails a test case per finding and skips excluded files', () => {
+  const xml = toJUnit(analysis, { owner: 'octo', repo: 'app', prNumber: 7 });
+
+  assert.match(xml, /<testsuites name="AI PR Reviewer octo\/app#7" tests="4" failures="2" errors="0" skipped="1" time="1.5">/);
+  assert.match(xml, /<testsuite name="src\/app\.js" tests="2" failures="2"/);
+  assert.match(xml, /<testcase name="No findings" classname="src\/clean\.js"/);
+  assert.match(xml, /<skipped message="Default exclusion \(lock file\)"\/>/);
+  assert.match(xml, /Rename &lt;x&gt;\./);
+});
+
+test('exports include static analysis findings and the open findings of incremental reviews', () => {
+  const tool = { file: 'src/clean.js', line_start: 2, line_end: 2, severity: 'minor', category: 'bug', title: 'eqeqeq (Built-in rules)', message: 'Use ===.', suggestion: '', tool: 'builtin', rule: 'eqeqeq' };
+  const earlier = { ...analysis.structured.findings[0], line_start: 20, line_end: 20, title: 'Earlier' };
+  const incremental = {
+    ...analysis,
+    openFindings: [earlier, ...analysis.structured.findings],
+    staticAnalysis: { findings: [tool] }
+  };
+
+  const results = toSarif(incremental).runs[0].results;
+  assert.equal(results.length, 4);
+  assert.deepEqual(results.find(result => result.properties.tool).properties, {
+    severity: 'minor', category: 'bug', title: tool.title, tool: 'builtin', rule: 'eqeqeq'
+  });
+  assert.ok(results.some(result => result.properties.title === 'Earlier'));
+
+  const xml = toJUnit(incremental);
+  assert.match(xml, /tests="5" failures="4"/);
+  assert.match(xml, /<testsuite name="src\/clean\.js" tests="1" failures="1"/);
+});
+
+test('exportAnalysis picks the format and rejects unknown ones', () => {
+  assert.equal(exportAnalysis(analysis, 'md').content, '## Review');
+  assert.equal(exportAnalysis(analysis, 'sarif').extension, 'sarif');
+  assert.equal(JSON.parse(exportAnalysis(analysis, 'json').content).model, 'mock-reviewer');
+  assert.equal(exportAnalysis(analysis, 'pdf').success, false);
+});
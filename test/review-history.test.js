@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ReviewHistory = require('../lib/review-history');
+
+const analysis = headSha => ({ headSha, baseSha: 'base', structured: { findings: [] } });
+
+test('ReviewHistory keeps the newest reviews per PR and overall in a private file', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'history.json');
+  fs.writeFileSync(file, '[]', { mode: 0o644 });
+
+  const history = new ReviewHistory(file);
+  history.maxPerPR = 2;
+  history.maxReviews = 3;
+  for (const sha of ['a', 'b', 'c']) {
+    history.add({ owner: 'octo', repo: 'app', prNumber: 1, analysis: analysis(sha) });
+  }
+  history.add({ owner: 'octo', repo: 'app', prNumber: 2, analysis: analysis('d') });
+  history.add({ owner: 'octo', repo: 'app', prNumber: 3, analysis: analysis('e') });
+
+  assert.deepEqual(history.reviews.map(review => review.headSha), ['c', 'd', 'e']);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.deepEqual(fs.readdirSync(dir), ['history.json']);
+  assert.deepEqual(new ReviewHistory(file).reviews.map(review => review.headSha), ['c', 'd', 'e']);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseJson, validateReview, sortFindings, analysisFindings, renderMarkdown, findingsToComments } = require('../lib/review-schema');
+
+const finding = (overrides = {}) => ({
+  file: 'src/app.js',
+  line_start: 3,
+  line_end: 3,
+  severity: 'major',
+  category: 'bug',
+  title: 'Off by one',
+  message: 'The loop skips the last item.',
+  ...overrides
+});
+
+test('parseJson accepts valid JSON as is', () => {
+  const result = parseJson('{"a": 1}');
+  assert.deepEqual(result, { success: true, data: { a: 1 }, repaired: false });
+});
+
+test('parseJson repairs fences, surrounding text, trailing commas and smart quotes', () => {
+  const result = parseJson('Here you go:\n```json\n{ “summary”: “ok”, "items": [1, 2,], }\n```\nThanks');
+  assert.equal(result.success, true);
+  assert.equal(result.repaired, true);
+  assert.deepEqual(result.data, { summary: 'ok', items: [1, 2] });
+});
+
+test('parseJson fails without a JSON object', () => {
+  assert.equal(parseJson('no json here').success, false);
+  assert.equal(parseJson('{ broken: }').success, false);
+});
+
+test('validateReview normalizes synonyms, case and numeric strings', () => {
+  const result = validateReview({
+    summary: 'Summary',
+    assessment: 'Fine',
+    findings: [finding({ severity: 'High', category: 'Performance', line_start: '7', line_end: undefined })]
+  });
+
+  assert.equal(result.valid, true);
+  const [normalized] = result.review.findings;
+  assert.equal(normalized.severity, 'major');
+  assert.equal(normalized.category, 'perf');
+  assert.equal(normalized.line_start, 7);
+  assert.equal(normalized.line_end, 7);
+  assert.deepEqual(result.review.positives, []);
+});
+
+test('validateReview lists every problem', () => {
+  const result = validateReview({
+    summary: 1,
+    findings: [finding({ severity: 'urgent', line_start: 0, title: '' })]
+  });
+
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.includes('summary must be a string'));
+  assert.ok(result.errors.includes('assessment must be a string'));
+  assert.ok(result.errors.some(error => error.startsWith('findings[0].severity')));
+  assert.ok(result.errors.some(error => error.startsWith('findings[0].line_start')));
+  assert.ok(result.errors.some(error => error.startsWith('findings[0].title')));
+  assert.equal(validateReview([]).valid, false);
+});
+
+test('sortFindings puts the most severe first', () => {
+  const sorted = sortFindings([finding({ severity: 'nit' }), finding({ severity: 'blocker' }), finding({ severity: 'minor' })]);
+  assert.deepEqual(sorted.map(item => item.severity), ['blocker', 'minor', 'nit']);
+});
+
+test('analysisFindings adds tool findings and prefers the open findings of incremental reviews', () => {
+  const review = finding({ title: 'New' });
+  const earlier = finding({ title: 'Earlier' });
+  const tool = finding({ title: 'eqeqeq (Built-in rules)', tool: 'builtin' });
+
+  assert.deepEqual(analysisFindings({}), []);
+  assert.deepEqual(analysisFindings({ structured: { findings: [review] }, staticAnalysis: { findings: [tool] } }), [review, tool]);
+  assert.deepEqual(analysisFindings({ structured: { findings: [review] }, openFindings: [earlier, review] }), [earlier, review]);
+});
+
+test('renderMarkdown and findingsToComments render the findings', () => {
+  const review = {
+    summary: 'Summary',
+    positives: ['Tidy'],
+    findings: [finding({ line_end: 5, suggestion: 'Use <=' })],
+    assessment: 'Fix the loop'
+  };
+
+  const markdown = renderMarkdown(review);
+  assert.match(markdown, /### ⚠️ Issues Found \(1\)/);
+  assert.match(markdown, /\[major\] Off by one/);
+  assert.match(markdown, /`src\/app\.js:3-5`/);
+
+  const [comment] = findingsToComments(review.findings);
+  assert.equal(comment.path, 'src/app.js');
+  assert.equal(comment.start_line, 3);
+  assert.equal(comment.line, 5);
+  assert.match(comment.body, /Suggested fix/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileSessionStore } = require('../lib/session-store');
+const TokenCipher = require('../lib/token-cipher');
+
+const cipher = new TokenCipher('test-secret');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'sessions.json');
+}
+
+test('FileSessionStore stores hashed session ids in a private file', async t => {
+  const file = tempFile(t);
+  fs.writeFileSync(file, '{}', { mode: 0o644 });
+
+  const store = new FileSessionStore({ filePath: file, cipher });
+  const id = await store.create({ token: 'gho_secret', user: { login: 'octo' } });
+  const saved = fs.readFileSync(file, 'utf8');
+
+  assert.ok(!saved.includes(id));
+  assert.ok(!saved.includes('gho_secret'));
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+  const reloaded = new FileSessionStore({ filePath: file, cipher });
+  assert.equal((await reloaded.get(id)).token, 'gho_secret');
+  await reloaded.destroy(id);
+  assert.equal(await new FileSessionStore({ filePath: file, cipher }).get(id), null);
+});
+
+test('FileSessionStore reads files written with plain session ids', async t => {
+  const file = tempFile(t);
+  const entry = { token: cipher.encrypt('gho_old'), user: { login: 'octo' }, expiresAt: new Date(Date.now() + 60000).toISOString() };
+  fs.writeFileSync(file, JSON.stringify({ 'plain-id': entry }));
+
+  const store = new FileSessionStore({ filePath: file, cipher });
+  assert.equal((await store.get('plain-id')).token, 'gho_old');
+});
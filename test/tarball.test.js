@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const { readTarball } = require('../lib/tarball');
+
+// A tar header block with a valid checksum
+function header(name, size, type = '0') {
+  const block = Buffer.alloc(512);
+  block.write(name.slice(0, 100), 0);
+  block.write('0000644\0', 100);
+  block.write(size.toString(8).padStart(11, '0') + '\0', 124);
+  block.write(type, 156);
+  block.write('ustar\0' + '00', 257);
+  block.fill(' ', 148, 156);
+  let sum = 0;
+  for (const byte of block) sum += byte;
+  block.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return block;
+}
+
+const padded = data => Buffer.concat([data, Buffer.alloc((512 - (data.length % 512)) % 512)]);
+
+function entry(name, content, type = '0') {
+  const data = Buffer.from(content);
+  return [header(name, data.length, type), padded(data)];
+}
+
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = body.length + 1;
+  length = String(length + String(length).length - 1).length + body.length;
+  return `${length}${body}`;
+}
+
+function archive(...entries) {
+  return zlib.gzipSync(Buffer.concat([...entries.flat(), Buffer.alloc(1024)]));
+}
+
+const longName = `repo-abc/src/${'nested/'.repeat(20)}deep.js`;
+
+test('readTarball returns regular files without the top-level directory', async () => {
+  const files = await readTarball(archive(
+    [header('repo-abc/', 0, '5')],
+    entry('repo-abc/README.md', '# Hello\n'),
+    entry('repo-abc/src/app.js', 'module.exports = 1;\n'),
+    entry('repo-abc/src/empty.js', '')
+  ));
+
+  assert.deepEqual(files.map(file => [file.path, file.content.toString()]), [
+    ['README.md', '# Hello\n'],
+    ['src/app.js', 'module.exports = 1;\n'],
+    ['src/empty.js', '']
+  ]);
+});
+
+test('readTarball reads pax and GNU long names', async () => {
+  const files = await readTarball(archive(
+    entry('PaxHeader/deep.js', paxRecord('path', longName), 'x'),
+    entry('repo-abc/src/truncated-name.js', 'pax\n'),
+    entry('././@LongLink', `${longName}\0`, 'L'),
+    entry('repo-abc/src/truncated-name.js', 'gnu\n')
+  ));
+
+  const expected = longName.split('/').slice(1).join('/');
+  assert.deepEqual(files.map(file => [file.path, file.content.toString()]), [
+    [expected, 'pax\n'],
+    [expected, 'gnu\n']
+  ]);
+});
+
+test('readTarball only keeps the files the filter accepts', async () => {
+  const seen = [];
+  const files = await readTarball(archive(
+    entry('repo-abc/a.js', 'a'),
+    entry('repo-abc/big.bin', 'x'.repeat(2000)),
+    entry('repo-abc/b.js', 'b')
+  ), { filter: (path, size) => { seen.push([path, size]); return path.endsWith('.js'); } });
+
+  assert.deepEqual(seen, [['a.js', 1], ['big.bin', 2000], ['b.js', 1]]);
+  assert.deepEqual(files.map(file => file.path), ['a.js', 'b.js']);
+});
+
+test('readTarball fails past the unpacked size limit and on bad archives', async () => {
+  const big = archive(entry('repo-abc/big.txt', 'x'.repeat(300 * 1024)));
+
+  await assert.rejects(readTarball(big, { maxBytes: 100 * 1024 }), /larger than/);
+  await assert.rejects(readTarball(Buffer.from('not gzip')));
+});
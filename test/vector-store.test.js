@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const VectorStore = require('../lib/vector-store');
+
+const index = repo => ({
+  owner: 'octo',
+  repo,
+  chunks: [
+    { file: 'a.js', start: 1, end: 2, text: 'a', vector: [1, 0] },
+    { file: 'b.js', start: 1, end: 2, text: 'b', vector: [0, 2] }
+  ]
+});
+
+function tempStore(t, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new VectorStore(dir, options);
+}
+
+test('VectorStore saves, reloads and searches an index', t => {
+  const store = tempStore(t);
+  store.save(index('app'));
+
+  const loaded = new VectorStore(store.dir).load('Octo', 'App');
+  const results = store.search(loaded, [0, 1], { k: 1 });
+
+  assert.equal(loaded.chunks.length, 2);
+  assert.equal(results[0].chunk.file, 'b.js');
+  assert.ok(Math.abs(results[0].score - 1) < 1e-6);
+  assert.equal(store.load('octo', 'missing'), null);
+});
+
+test('VectorStore keeps only the most recently used indexes in memory', t => {
+  const store = tempStore(t, { maxLoaded: 2 });
+  store.save(index('one'));
+  store.save(index('two'));
+  store.load('octo', 'one');
+  store.save(index('three'));
+
+  assert.deepEqual([...store.loaded.keys()].map(file => path.basename(file)), ['octo__one.json', 'octo__three.json']);
+  assert.equal(store.load('octo', 'two').repo, 'two');
+  assert.equal(store.loaded.size, 2);
+});